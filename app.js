@@ -6,19 +6,55 @@ require("dotenv").config();
 
 // Import routes
 const authRoutes = require("./routes/auth");
+const twoFactorRoutes = require("./routes/twoFactor");
+const sessionRoutes = require("./routes/sessions");
+const profileRoutes = require("./routes/profile");
 const adminRoutes = require("./routes/admin");
 const featureRoutes = require("./routes/features");
+const collegeRoutes = require("./routes/colleges");
+const contentRoutes = require("./routes/content");
+const roleRoutes = require("./routes/roles");
+const permissionRoutes = require("./routes/permissions");
+const auditLogRoutes = require("./routes/auditLogs");
+const inviteRoutes = require("./routes/invites");
+const bulkSubAdminRoutes = require("./routes/bulkSubAdmins");
+const adminAccountRoutes = require("./routes/admins");
+const apiKeyRoutes = require("./routes/apiKeys");
+const Permission = require("./models/Permission");
+const User = require("./models/User");
+const { swaggerComponents } = require("./schemas");
+const { requestId } = require("./middleware/requestId");
+const { errorHandler, notFound } = require("./middleware/errorHandler");
+const { logger } = require("./utils/logger");
+const { schedulePurge } = require("./jobs/purgeDeletedUsers");
 
 const app = express();
 
+// Needed for correct client IPs (rate limiting, audit log) behind a proxy
+if (process.env.TRUST_PROXY) {
+    app.set(
+        "trust proxy",
+        Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+    );
+}
+
 // Middleware
+app.use(requestId);
 app.use(
     cors({
         origin: process.env.CLIENT_URL || "http://localhost:3000",
         credentials: true,
     })
 );
-app.use(express.json());
+app.use(
+    express.json({
+        type: [
+            "application/json",
+            "application/merge-patch+json",
+            "application/json-patch+json",
+        ],
+    })
+);
 app.use(cookieParser());
 
 // Connect to MongoDB
@@ -26,23 +62,33 @@ mongoose
     .connect(
         process.env.MONGODB_URI || "mongodb://localhost:27017/admin-system"
     )
-    .then(() => console.log("Connected to MongoDB"))
-    .catch((err) => console.error("MongoDB connection error:", err));
+    .then(() => {
+        logger.info("Connected to MongoDB");
+        schedulePurge();
+        return Promise.all([
+            Permission.ensureDefaults(),
+            User.backfillStatus(),
+        ]);
+    })
+    .catch((err) => logger.error("MongoDB connection error:", err));
 
 // Routes
+app.use("/api/auth/2fa", twoFactorRoutes);
+app.use("/api/auth/sessions", sessionRoutes);
+app.use("/api/auth/me", profileRoutes);
 app.use("/api/auth", authRoutes);
+app.use("/api/admin/roles", roleRoutes);
+app.use("/api/admin/permissions", permissionRoutes);
+app.use("/api/admin/audit-logs", auditLogRoutes);
+app.use("/api/admin/invites", inviteRoutes);
+app.use("/api/admin/sub-admins", bulkSubAdminRoutes);
+app.use("/api/admin/admins", adminAccountRoutes);
+app.use("/api/admin/api-keys", apiKeyRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/features/colleges", collegeRoutes);
+app.use("/api/features/content", contentRoutes);
 app.use("/api/features", featureRoutes);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({
-        message: "Something went wrong!",
-        error: process.env.NODE_ENV === "development" ? err.message : undefined,
-    });
-});
-
 const swaggerUi = require("swagger-ui-express");
 const swaggerJsdoc = require("swagger-jsdoc");
 
@@ -61,12 +107,18 @@ const swaggerOptions = {
             },
         ],
         components: {
+            ...swaggerComponents(),
             securitySchemes: {
                 bearerAuth: {
                     type: "http",
                     scheme: "bearer",
                     bearerFormat: "JWT",
                 },
+                apiKeyAuth: {
+                    type: "apiKey",
+                    in: "header",
+                    name: "X-API-Key",
+                },
             },
         },
         security: [{ bearerAuth: [] }],
@@ -77,8 +129,12 @@ const swaggerOptions = {
 const swaggerSpecs = swaggerJsdoc(swaggerOptions);
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
 
+// Error handling: unmatched routes, then every error as a JSON response
+app.use(notFound);
+app.use(errorHandler);
+
 // Start server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => logger.info(`Server running on port ${PORT}`));
 
 module.exports = app;
@@ -0,0 +1,57 @@
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const OneTimeToken = require("../models/OneTimeToken");
+const { recordAudit } = require("../utils/audit");
+const { logger } = require("../utils/logger");
+
+// How long soft-deleted users can still be restored (store in .env file)
+const DELETED_USER_RETENTION_DAYS =
+    Number(process.env.DELETED_USER_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_HOURS = Number(process.env.PURGE_INTERVAL_HOURS) || 24;
+
+// Permanently remove users soft-deleted longer ago than the retention period
+const purgeDeletedUsers = async () => {
+    const cutoff = new Date(
+        Date.now() - DELETED_USER_RETENTION_DAYS * 24 * 60 * 60 * 1000
+    );
+    const users = await User.find({
+        status: "deleted",
+        deletedAt: { $lte: cutoff },
+    }).select("email deletedAt");
+
+    for (const user of users) {
+        // Re-check the status in case the user was restored meanwhile
+        const purged = await User.findOneAndDelete({
+            _id: user._id,
+            status: "deleted",
+        });
+        if (!purged) continue;
+
+        await RefreshToken.deleteMany({ user: user._id });
+        await Session.deleteMany({ user: user._id });
+        await OneTimeToken.deleteMany({ user: user._id });
+
+        await recordAudit(null, {
+            action: "user.purge",
+            actor: null,
+            target: { type: "user", id: user.id, label: user.email },
+            metadata: { deletedAt: user.deletedAt },
+        });
+    }
+
+    return users.length;
+};
+
+// Run the purge now and then periodically; the timer won't keep the process alive
+const schedulePurge = () => {
+    const run = () =>
+        purgeDeletedUsers().catch((err) =>
+            logger.error("Failed to purge deleted users:", err)
+        );
+
+    run();
+    return setInterval(run, PURGE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
+
+module.exports = { purgeDeletedUsers, schedulePurge };
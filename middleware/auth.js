@@ -1,16 +1,24 @@
 const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const { getAuthUser } = require("../utils/userCache");
+const { expandGrants } = require("../utils/permissions");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
 
 // Environment variables (store in .env file)
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "1h";
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = "5m";
 
 // Generate token function
-const generateToken = (user) => {
+// `sessionId` is the session (see models/Session.js) the token belongs to.
+// Role and permissions are deliberately left out: they are looked up on
+// every request so changes take effect immediately.
+const generateToken = (user, sessionId) => {
     const payload = {
         id: user._id,
-        email: user.email,
-        role: user.role,
-        permissions: user.permissions,
+        sid: sessionId,
+        typ: "access",
     };
 
     return jwt.sign(payload, JWT_SECRET, {
@@ -18,21 +26,173 @@ const generateToken = (user) => {
     });
 };
 
-// Verify token middleware
-const verifyToken = (req, res, next) => {
-    const token = req.headers.authorization?.split(" ")[1] || req.cookies.token;
+// Short-lived token proving the password step of a two-factor login.
+// Only accepted by POST /auth/2fa/verify.
+const generateChallengeToken = (user) => {
+    return jwt.sign({ id: user._id, typ: "2fa-challenge" }, JWT_SECRET, {
+        expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+    });
+};
+
+// Verify challenge token middleware (body `challengeToken` or bearer header)
+const verifyChallengeToken = (req, res, next) => {
+    const token =
+        req.body?.challengeToken || req.headers.authorization?.split(" ")[1];
 
     if (!token) {
-        return res.status(401).json({ message: "Authentication required" });
+        throw new UnauthorizedError("Challenge token required");
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
-        return res.status(401).json({ message: "Invalid or expired token" });
+        decoded = null;
+    }
+    if (decoded?.typ !== "2fa-challenge") {
+        throw new UnauthorizedError("Invalid or expired challenge token", {
+            code: "INVALID_TOKEN",
+        });
+    }
+
+    req.challenge = { id: decoded.id };
+    next();
+};
+
+// Authenticate a service by its API key (see models/ApiKey.js). The key only
+// grants its own permissions, and only while its owner is an active admin.
+const authenticateApiKey = async (req, secret) => {
+    const apiKey = await ApiKey.findUsable(secret);
+    const owner = apiKey && (await getAuthUser(apiKey.owner));
+    if (!owner || owner.role !== "admin" || owner.status !== "active") {
+        throw new UnauthorizedError("Invalid or expired API key", {
+            code: "INVALID_API_KEY",
+        });
     }
+
+    req.user = {
+        id: String(owner._id),
+        name: apiKey.name,
+        email: owner.email,
+        role: "api-key",
+        roles: [],
+        permissions: expandGrants(apiKey.permissions),
+        permissionScopes: {},
+        apiKey: String(apiKey._id),
+    };
+
+    await apiKey.touch(req);
 };
 
-module.exports = { generateToken, verifyToken };
+// Build token verification middleware. Users who must change their password
+// or enroll in two-factor authentication are refused until they have done
+// so, except on routes that allow it through `allowPasswordChange` or
+// `allowTwoFactorSetup`. Routes with `allowApiKey` also accept an API key in
+// the `X-API-Key` header.
+const authenticate = ({
+    allowPasswordChange = false,
+    allowTwoFactorSetup = false,
+    allowApiKey = false,
+} = {}) => {
+    return async (req, res, next) => {
+        const apiKey = allowApiKey && req.get("x-api-key");
+        if (apiKey) {
+            await authenticateApiKey(req, apiKey);
+            return next();
+        }
+
+        const token =
+            req.headers.authorization?.split(" ")[1] || req.cookies.token;
+
+        if (!token) {
+            throw new UnauthorizedError("Authentication required");
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, JWT_SECRET);
+            // Refuse 2FA challenge tokens and anything else that isn't an access token
+            if (decoded.typ !== "access") throw new Error("Wrong type");
+        } catch (error) {
+            throw new UnauthorizedError("Invalid or expired token", {
+                code: "INVALID_TOKEN",
+            });
+        }
+
+        // Reject access tokens whose session was logged out or revoked
+        const session = await Session.findActiveState(decoded.sid);
+        if (!session) {
+            throw new UnauthorizedError("Session has been revoked", {
+                code: "SESSION_REVOKED",
+            });
+        }
+
+        // Load current role and permissions instead of trusting the token
+        const user = await getAuthUser(decoded.id);
+        if (!user) {
+            throw new UnauthorizedError("Account no longer exists", {
+                code: "ACCOUNT_INACTIVE",
+            });
+        }
+
+        // Suspended and deleted accounts lose access immediately
+        if (user.status !== "active") {
+            throw new UnauthorizedError("Account is not active", {
+                code: "ACCOUNT_INACTIVE",
+            });
+        }
+
+        if (user.mustChangePassword && !allowPasswordChange) {
+            throw new ForbiddenError("Password change required", {
+                code: "PASSWORD_CHANGE_REQUIRED",
+                mustChangePassword: true,
+            });
+        }
+
+        if (
+            user.twoFactorRequired &&
+            !user.twoFactorEnabled &&
+            !allowTwoFactorSetup
+        ) {
+            throw new ForbiddenError(
+                "Two-factor authentication setup required",
+                {
+                    code: "TWO_FACTOR_SETUP_REQUIRED",
+                    twoFactorSetupRequired: true,
+                }
+            );
+        }
+
+        req.user = {
+            id: String(user._id),
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            roles: user.roles,
+            permissions: user.permissions,
+            permissionScopes: user.permissionScopes,
+            mustChangePassword: user.mustChangePassword,
+            twoFactorEnabled: user.twoFactorEnabled,
+            twoFactorRequired: user.twoFactorRequired,
+            sid: decoded.sid,
+        };
+
+        await Session.touch(session, req);
+        next();
+    };
+};
+
+// Verify token middleware
+const verifyToken = authenticate();
+
+// For read endpoints services may call with an API key
+const verifyTokenOrApiKey = authenticate({ allowApiKey: true });
+
+module.exports = {
+    generateToken,
+    generateChallengeToken,
+    verifyChallengeToken,
+    authenticate,
+    verifyToken,
+    verifyTokenOrApiKey,
+};
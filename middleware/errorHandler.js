@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const { HttpError, NotFoundError } = require("../utils/errors");
+const { logger } = require("../utils/logger");
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Turn errors from Mongoose, the MongoDB driver and body parsing into
+// HttpErrors. Anything else is unexpected and becomes a 500.
+const toHttpError = (err) => {
+    if (err instanceof HttpError) return err;
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        return new HttpError(400, "VALIDATION_FAILED", "Validation failed", {
+            errors: Object.values(err.errors).map((e) => ({
+                field: e.path,
+                message: e.message,
+            })),
+        });
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        const invalidId = err.kind === "ObjectId";
+        return new HttpError(
+            400,
+            invalidId ? "INVALID_ID" : "VALIDATION_FAILED",
+            invalidId ? "Invalid ID" : "Validation failed",
+            {
+                errors: [
+                    {
+                        field: err.path,
+                        message: invalidId
+                            ? "must be a valid ID"
+                            : `must be a valid ${err.kind}`,
+                    },
+                ],
+            }
+        );
+    }
+
+    // Unique index violations, e.g. an email already taken by another user
+    if (err.code === 11000) {
+        const fields = Object.keys(err.keyPattern || err.keyValue || {});
+        return new HttpError(
+            409,
+            "DUPLICATE_KEY",
+            fields.length === 1
+                ? `${capitalize(fields[0])} already in use`
+                : "A record with the same values already exists",
+            {
+                errors: fields.map((field) => ({
+                    field,
+                    message: "is already in use",
+                })),
+            }
+        );
+    }
+
+    // Malformed JSON, oversized bodies and the like from express.json()
+    if (err.type && err.expose && err.status < 500) {
+        return new HttpError(
+            err.status,
+            err.type === "entity.parse.failed"
+                ? "INVALID_JSON"
+                : err.type.toUpperCase().replace(/\W/g, "_"),
+            err.type === "entity.parse.failed"
+                ? "Request body is not valid JSON"
+                : err.message
+        );
+    }
+
+    return null;
+};
+
+// `handler` for express-rate-limit, so 429s look like every other error
+const rateLimitHandler = (req, res, next, options) => {
+    next(new HttpError(options.statusCode, "RATE_LIMITED", options.message));
+};
+
+// Respond to requests no route matched
+const notFound = (req, res, next) => {
+    next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+};
+
+// Send errors as `{ message, code, requestId, ...details }`. Express only
+// treats four-argument middleware as an error handler, hence `next`.
+const errorHandler = (err, req, res, next) => {
+    const error = toHttpError(err);
+
+    if (!error) {
+        logger.error(`${req.method} ${req.originalUrl} failed:`, err);
+        return res.status(500).json({
+            message: "Something went wrong!",
+            code: "INTERNAL_ERROR",
+            requestId: req.id,
+            error:
+                process.env.NODE_ENV === "development"
+                    ? err.message
+                    : undefined,
+        });
+    }
+
+    res.status(error.status).json({
+        message: error.message,
+        code: error.code,
+        ...error.details,
+        requestId: req.id,
+    });
+};
+
+module.exports = { errorHandler, notFound, rateLimitHandler };
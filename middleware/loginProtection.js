@@ -0,0 +1,94 @@
+const rateLimit = require("express-rate-limit");
+const User = require("../models/User");
+const { rateLimitHandler } = require("./errorHandler");
+
+// Brute-force protection settings (store in .env file)
+const LOGIN_WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES) || 15;
+const LOGIN_MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_DELAY_AFTER = Number(process.env.LOGIN_DELAY_AFTER) || 2;
+const LOGIN_DELAY_MS = Number(process.env.LOGIN_DELAY_MS) || 500;
+const LOGIN_MAX_DELAY_MS = Number(process.env.LOGIN_MAX_DELAY_MS) || 8000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Delay doubles with every failure past the free attempts
+const delayFor = (failures) =>
+    failures <= LOGIN_DELAY_AFTER
+        ? 0
+        : Math.min(
+              LOGIN_DELAY_MS * 2 ** (failures - LOGIN_DELAY_AFTER - 1),
+              LOGIN_MAX_DELAY_MS
+          );
+
+// Build login protection around a rate-limit store. Any express-rate-limit
+// compatible store works (e.g. Redis when running several instances); the
+// default keeps counters in memory.
+const createLoginProtection = ({
+    store = new rateLimit.MemoryStore(),
+} = {}) => {
+    const keyFor = (req) => `login:${req.ip}`;
+
+    // Per-IP throttling: only failed attempts count towards the limit
+    const limiter = rateLimit({
+        windowMs: LOGIN_WINDOW_MINUTES * 60 * 1000,
+        limit: LOGIN_MAX_IP_FAILURES,
+        skipSuccessfulRequests: true,
+        standardHeaders: "draft-7",
+        legacyHeaders: false,
+        keyGenerator: keyFor,
+        store,
+        message: "Too many failed login attempts, please try again later",
+        handler: rateLimitHandler,
+    });
+
+    // Progressive delay based on recent failures from this IP or for this account
+    const throttle = async (req, user) => {
+        const ipHits = (await store.get?.(keyFor(req)))?.totalHits || 0;
+        // The limiter already counted the current request
+        const failures = Math.max(ipHits - 1, user?.failedLoginAttempts || 0);
+
+        const delay = delayFor(failures);
+        if (delay) await sleep(delay);
+    };
+
+    // Count a failed password for the account, locking it once the limit is hit.
+    // Returns the lock expiry when this failure caused a lockout.
+    const registerFailure = async (user) => {
+        const updated = await User.findByIdAndUpdate(
+            user._id,
+            { $inc: { failedLoginAttempts: 1 } },
+            { new: true }
+        );
+        if (!updated || updated.failedLoginAttempts < LOGIN_MAX_ATTEMPTS) {
+            return null;
+        }
+
+        const lockedUntil = new Date(
+            Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000
+        );
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { lockedUntil, failedLoginAttempts: 0 } }
+        );
+
+        return lockedUntil;
+    };
+
+    const registerSuccess = async (user) => {
+        if (!user.failedLoginAttempts && !user.lockedUntil) return;
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { failedLoginAttempts: 0, lockedUntil: null } }
+        );
+    };
+
+    return { limiter, throttle, registerFailure, registerSuccess, store };
+};
+
+// Shared instance used by the login route
+const loginProtection = createLoginProtection();
+
+module.exports = { createLoginProtection, loginProtection };
@@ -1,43 +1,73 @@
+const { verifyToken } = require("./auth");
+const { hasPermission, scopeFor } = require("../utils/permissionKeys");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+
 // Role-based middleware
+// Matches either the account type (`admin`, `sub-admin`) or an assigned role
 const checkRole = (role) => {
     return (req, res, next) => {
         if (!req.user) {
-            return res.status(401).json({ message: "Authentication required" });
+            throw new UnauthorizedError("Authentication required");
         }
 
-        if (req.user.role !== role) {
-            return res
-                .status(403)
-                .json({ message: "Access denied: Insufficient permissions" });
+        if (req.user.role !== role && !req.user.roles?.includes(role)) {
+            throw new ForbiddenError("Access denied: Insufficient permissions");
         }
 
         next();
     };
 };
 
-// Permission-based middleware
-const checkPermission = (permission) => {
+// Permission-based middleware, e.g. `checkPermission("colleges:write")`.
+// Grants may be wildcards (`colleges:*`) or legacy keys (see
+// utils/permissionKeys.js). Given a list, any one of the permissions is enough.
+// Grants scoped to specific resources (see `User.permissionScopes`) count when:
+// - `resource(req)` returns the ID of a resource in the caller's scope, or
+// - `scoped` is set, for list endpoints; `req.permissionScope` then holds the
+//   IDs the caller may see, or `null` when they're unrestricted.
+const checkPermission = (permission, { resource, scoped = false } = {}) => {
+    const permissions = [].concat(permission);
+
     return (req, res, next) => {
         if (!req.user) {
-            return res.status(401).json({ message: "Authentication required" });
+            throw new UnauthorizedError("Authentication required");
         }
 
+        req.permissionScope = null;
+
         // Admin has all permissions by default
         if (req.user.role === "admin") {
             return next();
         }
 
-        // Check if sub-admin has the specific permission
-        if (!req.user.permissions || !req.user.permissions[permission]) {
-            return res
-                .status(403)
-                .json({
-                    message: `Access denied: '${permission}' permission required`,
-                });
+        // Check if sub-admin has the permission through a role or a direct grant
+        if (
+            permissions.some((key) => hasPermission(req.user.permissions, key))
+        ) {
+            return next();
         }
 
-        next();
+        const scope = permissions.flatMap((key) =>
+            scopeFor(req.user.permissionScopes, key)
+        );
+
+        if (resource) {
+            const id = resource(req);
+            if (id !== undefined && scope.includes(String(id))) {
+                return next();
+            }
+        } else if (scoped && scope.length) {
+            req.permissionScope = [...new Set(scope)];
+            return next();
+        }
+
+        throw new ForbiddenError(
+            `Access denied: '${permissions.join("' or '")}' permission required`
+        );
     };
 };
 
-module.exports = { checkRole, checkPermission };
+// Middleware chain for admin-only routes
+const adminOnly = [verifyToken, checkRole("admin")];
+
+module.exports = { checkRole, checkPermission, adminOnly };
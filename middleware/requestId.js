@@ -0,0 +1,19 @@
+const crypto = require("crypto");
+const { requestContext } = require("../utils/logger");
+
+// Reuse an ID set by a proxy or the client when it looks sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Give every request an ID, returned in the `X-Request-Id` header and error
+// responses and prefixed to log lines
+const requestId = (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    req.id = REQUEST_ID_PATTERN.test(incoming || "")
+        ? incoming
+        : crypto.randomUUID();
+
+    res.set("X-Request-Id", req.id);
+    requestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = { requestId };
@@ -0,0 +1,50 @@
+const { validateValue } = require("../utils/validation");
+const { ValidationError } = require("../utils/errors");
+
+// Path params and query strings are converted to the declared types
+const LOCATIONS = [
+    ["params", { coerce: true }],
+    ["query", { coerce: true }],
+    ["body", { coerce: false }],
+];
+
+// Validate the request against schemas from schemas/, e.g.
+// `validate({ params: SubAdminParams, body: UpdateSubAdmin })`.
+// Invalid requests fail with a ValidationError listing every problem;
+// otherwise each part is replaced by its validated value, with defaults
+// filled in.
+const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    const values = {};
+
+    for (const [location, options] of LOCATIONS) {
+        if (!schemas[location]) continue;
+
+        const result = validateValue(
+            schemas[location],
+            req[location] ?? {},
+            options
+        );
+        errors.push(...result.errors.map((error) => ({ location, ...error })));
+        values[location] = result.value;
+    }
+
+    if (errors.length) {
+        throw new ValidationError("Validation failed", { errors });
+    }
+
+    // Express 5 exposes `req.query` through a getter, so define rather than
+    // assign
+    for (const [location, value] of Object.entries(values)) {
+        Object.defineProperty(req, location, {
+            value,
+            writable: true,
+            enumerable: true,
+            configurable: true,
+        });
+    }
+
+    next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,138 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { randomToken, hashToken } = require("../utils/tokens");
+
+// Only record use this often, so authenticated requests rarely write
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Secrets look like `ak_<prefix>_<random>`; the prefix identifies the key in
+// listings without revealing it
+const KEY_PREFIX = "ak";
+
+// A key for services and scheduled jobs, sent in the `X-API-Key` header
+// instead of logging in (see middleware/auth.js). It has its own list of
+// permissions and stops working once expired, revoked, or when its owner is
+// no longer an active admin. Only the hash of the secret is stored.
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    // The admin responsible for the key
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    // Permission catalog keys, wildcards allowed
+    permissions: {
+        type: [String],
+        default: [],
+    },
+    prefix: {
+        type: String,
+        required: true,
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // `null` never expires
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedIp: {
+        type: String,
+    },
+    rotatedAt: {
+        type: Date,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// A new secret with its stored fields
+const generateSecret = () => {
+    const prefix = crypto.randomBytes(4).toString("hex");
+    const secret = `${KEY_PREFIX}_${prefix}_${randomToken(32)}`;
+    return { secret, prefix, keyHash: hashToken(secret) };
+};
+
+// Create a key, returning it with its secret, which isn't stored
+apiKeySchema.statics.issue = async function (fields) {
+    const { secret, ...stored } = generateSecret();
+    const apiKey = await this.create({ ...fields, ...stored });
+    return { apiKey, secret };
+};
+
+// Find the unrevoked, unexpired key for a secret
+apiKeySchema.statics.findUsable = function (secret) {
+    return this.findOne({
+        keyHash: hashToken(secret),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+};
+
+// Replace the secret, so the previous one stops working at once. Returns the
+// new secret.
+apiKeySchema.methods.rotate = async function (expiresAt = this.expiresAt) {
+    const { secret, ...stored } = generateSecret();
+    Object.assign(this, stored, { expiresAt, rotatedAt: new Date() });
+    await this.save();
+    return secret;
+};
+
+// Record use, at most once per LAST_USED_INTERVAL_MS
+apiKeySchema.methods.touch = function (req) {
+    if (Date.now() - this.lastUsedAt < LAST_USED_INTERVAL_MS) return;
+
+    return this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    );
+};
+
+// Shape for API responses, without the hash
+apiKeySchema.methods.summarize = function () {
+    let status = "active";
+    if (this.revokedAt) status = "revoked";
+    else if (this.expiresAt && this.expiresAt <= Date.now()) status = "expired";
+
+    return {
+        id: this._id,
+        name: this.name,
+        owner: this.owner,
+        permissions: this.permissions,
+        prefix: `${KEY_PREFIX}_${this.prefix}`,
+        status,
+        expiresAt: this.expiresAt,
+        lastUsedAt: this.lastUsedAt,
+        lastUsedIp: this.lastUsedIp,
+        rotatedAt: this.rotatedAt,
+        revokedAt: this.revokedAt,
+        createdAt: this.createdAt,
+    };
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+module.exports = ApiKey;
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema({
+    // Who performed the action; empty for anonymous actions like failed logins
+    actor: {
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            index: true,
+        },
+        email: String,
+        role: String,
+    },
+    // Dotted action name, e.g. `sub-admin.update` or `auth.login.failed`
+    action: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    target: {
+        type: { type: String },
+        id: { type: String, index: true },
+        label: String,
+    },
+    // Only the fields that changed, before and after the action
+    changes: {
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+    },
+    metadata: mongoose.Schema.Types.Mixed,
+    ip: String,
+    userAgent: String,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true,
+    },
+});
+
+// Audit entries are append-only: refuse every kind of modification
+const rejectModification = function (next) {
+    next(new Error("Audit log entries cannot be modified or deleted"));
+};
+
+auditLogSchema.pre("save", function (next) {
+    if (!this.isNew) return rejectModification(next);
+    next();
+});
+
+for (const operation of [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+]) {
+    auditLogSchema.pre(operation, rejectModification);
+}
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+module.exports = AuditLog;
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const collegeSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200,
+    },
+    // Short unique identifier, e.g. `MIT-01`
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [
+            /^[A-Z0-9][A-Z0-9-]{1,19}$/,
+            "Code must be 2-20 letters, digits or dashes",
+        ],
+    },
+    location: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200,
+    },
+    studentCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+        validate: {
+            validator: Number.isInteger,
+            message: "Student count must be a whole number",
+        },
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Fields colleges can be listed by (see routes/colleges.js)
+const COLLEGE_SORT_FIELDS = ["name", "code", "studentCount", "createdAt"];
+
+collegeSchema.index({ name: 1 });
+
+collegeSchema.pre("save", function (next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+const College = mongoose.model("College", collegeSchema);
+module.exports = College;
+module.exports.COLLEGE_SORT_FIELDS = COLLEGE_SORT_FIELDS;
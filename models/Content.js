@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+const CONTENT_STATUSES = ["draft", "published", "archived"];
+
+// Fields content can be listed by (see routes/content.js)
+const CONTENT_SORT_FIELDS = ["title", "slug", "status", "updatedAt"];
+
+// A piece of site content. The title and body here are the latest version;
+// every version is kept in ContentVersion. `publishedVersion` is the version
+// readers see, which lags behind `version` while edits await publishing.
+const contentSchema = new mongoose.Schema({
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [
+            /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+            "Slug must be lowercase letters, digits and single dashes",
+        ],
+        maxlength: 100,
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200,
+    },
+    body: {
+        type: String,
+        default: "",
+        maxlength: 100000,
+    },
+    status: {
+        type: String,
+        enum: CONTENT_STATUSES,
+        default: "draft",
+        index: true,
+    },
+    version: {
+        type: Number,
+        default: 1,
+    },
+    publishedVersion: {
+        type: Number,
+        default: null,
+    },
+    publishedAt: {
+        type: Date,
+    },
+    publishedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+contentSchema.pre("save", function (next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+const Content = mongoose.model("Content", contentSchema);
+module.exports = Content;
+module.exports.CONTENT_STATUSES = CONTENT_STATUSES;
+module.exports.CONTENT_SORT_FIELDS = CONTENT_SORT_FIELDS;
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Immutable snapshot of a content item, one per edit
+const contentVersionSchema = new mongoose.Schema({
+    content: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Content",
+        required: true,
+    },
+    version: {
+        type: Number,
+        required: true,
+    },
+    title: {
+        type: String,
+        required: true,
+    },
+    body: {
+        type: String,
+        default: "",
+    },
+    author: {
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        email: String,
+    },
+    // Set when the version restores an earlier one
+    restoredFrom: {
+        type: Number,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Also stops two concurrent edits from claiming the same version number
+contentVersionSchema.index({ content: 1, version: 1 }, { unique: true });
+
+const ContentVersion = mongoose.model("ContentVersion", contentVersionSchema);
+module.exports = ContentVersion;
@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const { randomToken, hashToken } = require("../utils/tokens");
+
+// Single-use, expiring tokens sent to users (password resets, invites, email changes).
+// Only the hash is stored; the raw token is returned once at issue time.
+const oneTimeTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    purpose: {
+        type: String,
+        enum: ["password-reset", "invite", "email-change"],
+        required: true,
+    },
+    // For email changes, the new address awaiting confirmation
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Let MongoDB clean up expired tokens
+oneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a token, invalidating any unused token the user has for the same
+// purpose. `fields` are stored with it, e.g. `{ email }` for email changes.
+oneTimeTokenSchema.statics.issue = async function (
+    userId,
+    purpose,
+    ttlMinutes,
+    fields = {}
+) {
+    await this.deleteMany({ user: userId, purpose, usedAt: null });
+
+    const token = randomToken(32);
+    await this.create({
+        ...fields,
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    });
+
+    return token;
+};
+
+// Find a usable token without using it up
+oneTimeTokenSchema.statics.findValid = function (token, purpose) {
+    return this.findOne({
+        tokenHash: hashToken(token),
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+};
+
+// Mark a token as used and return it, or null if invalid, expired or used
+oneTimeTokenSchema.statics.consume = function (token, purpose) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+const OneTimeToken = mongoose.model("OneTimeToken", oneTimeTokenSchema);
+module.exports = OneTimeToken;
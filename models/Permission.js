@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const {
+    isLegacyPermission,
+    isWildcard,
+    matchesPermission,
+} = require("../utils/permissionKeys");
+
+// Permissions every installation starts with, as `resource:action`
+const DEFAULT_PERMISSIONS = [
+    { key: "dashboard:read", description: "View the dashboard" },
+    { key: "colleges:read", description: "View colleges" },
+    {
+        key: "colleges:write",
+        description: "Create, update and delete colleges",
+    },
+    { key: "content:read", description: "View content and its history" },
+    {
+        key: "content:write",
+        description: "Draft, edit and roll back content",
+    },
+    {
+        key: "content:publish",
+        description: "Publish, unpublish and archive content",
+    },
+    { key: "data:read", description: "View data" },
+];
+
+const permissionSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        match: /^[a-zA-Z][\w:-]*$/,
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: "",
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Create any missing default permissions without touching existing ones
+permissionSchema.statics.ensureDefaults = function () {
+    return this.bulkWrite(
+        DEFAULT_PERMISSIONS.map((permission) => ({
+            updateOne: {
+                filter: { key: permission.key },
+                update: { $setOnInsert: permission },
+                upsert: true,
+            },
+        }))
+    );
+};
+
+// Return the keys that are neither in the catalog nor legacy keys.
+// Wildcards are known when they cover at least one catalog key.
+permissionSchema.statics.findUnknown = async function (keys) {
+    const catalog = keys.some(isWildcard)
+        ? await this.distinct("key")
+        : await this.distinct("key", { key: { $in: keys } });
+
+    return keys.filter(
+        (key) =>
+            !isLegacyPermission(key) &&
+            !(isWildcard(key)
+                ? catalog.some((known) => matchesPermission(key, known))
+                : catalog.includes(key))
+    );
+};
+
+const Permission = mongoose.model("Permission", permissionSchema);
+module.exports = Permission;
+module.exports.DEFAULT_PERMISSIONS = DEFAULT_PERMISSIONS;
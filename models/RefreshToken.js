@@ -0,0 +1,115 @@
+const mongoose = require("mongoose");
+const Session = require("./Session");
+const { randomToken, hashToken } = require("../utils/tokens");
+
+const REFRESH_TOKEN_EXPIRES_IN_DAYS =
+    Number(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 7;
+
+const nextExpiry = () =>
+    new Date(Date.now() + REFRESH_TOKEN_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000);
+
+// Every login starts a new session (see models/Session.js); each refresh
+// rotates the token within that session. Presenting an already-rotated
+// token means it was stolen, so the whole session gets revoked.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Session",
+        required: true,
+        index: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    replacedBy: {
+        type: String,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a new refresh token in a session
+refreshTokenSchema.statics.issue = async function (
+    userId,
+    sessionId,
+    expiresAt = nextExpiry()
+) {
+    const token = randomToken();
+
+    await this.create({
+        user: userId,
+        tokenHash: hashToken(token),
+        session: sessionId,
+        expiresAt,
+    });
+
+    return { token, session: sessionId, expiresAt };
+};
+
+// Start a session for a login request and issue its first refresh token
+refreshTokenSchema.statics.startSession = async function (userId, req) {
+    const expiresAt = nextExpiry();
+    const session = await Session.start(userId, req, expiresAt);
+
+    return this.issue(userId, session._id, expiresAt);
+};
+
+// Exchange a refresh token for a new one in the same session.
+// Returns null if the token is unknown, expired or reused, or its session
+// was revoked.
+refreshTokenSchema.statics.rotate = async function (token) {
+    const existing = await this.findOne({ tokenHash: hashToken(token) });
+    if (!existing) return null;
+
+    if (existing.replacedBy) {
+        // Reuse of a rotated token: assume theft and kill the session
+        await Session.revoke({ _id: existing.session }, "token-reuse");
+        return null;
+    }
+
+    if (existing.expiresAt <= new Date()) return null;
+    if (!(await Session.findActive(existing.session))) return null;
+
+    const next = await this.issue(existing.user, existing.session);
+
+    // Guard against two concurrent refreshes with the same token
+    const claimed = await this.findOneAndUpdate(
+        { _id: existing._id, replacedBy: null },
+        { $set: { replacedBy: hashToken(next.token) } }
+    );
+    if (!claimed) {
+        await Session.revoke({ _id: existing.session }, "token-reuse");
+        return null;
+    }
+
+    await Session.extend(existing.session, next.expiresAt);
+
+    return { ...next, user: existing.user };
+};
+
+// Find the session a refresh token belongs to
+refreshTokenSchema.statics.findSession = async function (token) {
+    const existing = await this.findOne({ tokenHash: hashToken(token) });
+    return existing ? existing.session : null;
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+module.exports = RefreshToken;
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Account types already used by `User.role`; custom roles can't shadow them
+const RESERVED_ROLE_NAMES = ["admin", "sub-admin"];
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: /^[a-z0-9][a-z0-9-]*$/,
+        validate: {
+            validator: (name) => !RESERVED_ROLE_NAMES.includes(name),
+            message: "Role name '{VALUE}' is reserved",
+        },
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: "",
+    },
+    permissions: {
+        type: [String],
+        default: [],
+    },
+    // Users holding this role must enroll in two-factor authentication
+    requireTwoFactor: {
+        type: Boolean,
+        default: false,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+roleSchema.pre("save", function (next) {
+    this.updatedAt = new Date();
+    next();
+});
+
+// Look up roles by name, reporting any that don't exist
+roleSchema.statics.findByNames = async function (names) {
+    const roles = await this.find({
+        name: { $in: names.map((name) => String(name).toLowerCase()) },
+    });
+    const found = roles.map((role) => role.name);
+    const missing = names.filter(
+        (name) => !found.includes(String(name).toLowerCase())
+    );
+
+    return { roles, missing };
+};
+
+const Role = mongoose.model("Role", roleSchema);
+module.exports = Role;
@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+const TtlCache = require("../utils/cache");
+const { describeDevice } = require("../utils/userAgent");
+const { USER_CACHE_TTL_MS } = require("../utils/userCache");
+
+// Only record activity this often, so authenticated requests rarely write
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// A login on one device. Access tokens carry the session ID (`sid`) and
+// refresh tokens belong to it, so revoking the session signs the device
+// out everywhere at once.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    device: {
+        type: String,
+    },
+    ip: {
+        type: String,
+    },
+    userAgent: {
+        type: String,
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Moves forward with every refresh token rotation
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    // `logout`, `user`, `admin`, `password-change`, `token-reuse`, ...
+    revokedReason: {
+        type: String,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Start a session for a request
+sessionSchema.statics.start = function (userId, req, expiresAt) {
+    const userAgent = req.get("user-agent");
+
+    return this.create({
+        user: userId,
+        device: describeDevice(userAgent),
+        ip: req.ip,
+        userAgent,
+        expiresAt,
+    });
+};
+
+const activeFilter = () => ({
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+});
+
+// Find a session that is neither revoked nor expired
+sessionSchema.statics.findActive = function (id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.findOne({ _id: id, ...activeFilter() });
+};
+
+// `{ id, expiresAt, lastSeenAt }` of sessions checked on every request, or
+// `null` once revoked, kept as long as cached users. Revoking or extending a
+// session through this instance drops its entry.
+const states = new TtlCache({ ttl: USER_CACHE_TTL_MS });
+
+const forgetStates = (ids) => {
+    for (const id of ids) states.delete(String(id));
+};
+
+// The state of an active session, from cache when possible, or null
+sessionSchema.statics.findActiveState = async function (id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    const key = String(id);
+    let state = states.get(key);
+    if (state === undefined) {
+        const session = await this.findActive(id)
+            .select("expiresAt lastSeenAt")
+            .lean();
+        state = session && {
+            id: key,
+            expiresAt: session.expiresAt,
+            lastSeenAt: session.lastSeenAt,
+        };
+        states.set(key, state);
+    }
+
+    return state && state.expiresAt > Date.now() ? state : null;
+};
+
+// Move a session's expiry forward, e.g. when its refresh token rotates
+sessionSchema.statics.extend = async function (id, expiresAt) {
+    await this.updateOne(
+        { _id: id },
+        { $set: { expiresAt, lastSeenAt: new Date() } }
+    );
+    forgetStates([id]);
+};
+
+// A user's active sessions, most recently used first
+sessionSchema.statics.listActive = function (userId) {
+    return this.find({ user: userId, ...activeFilter() }).sort({
+        lastSeenAt: -1,
+    });
+};
+
+// Revoke the active sessions matching `filter`
+sessionSchema.statics.revoke = async function (filter, reason) {
+    const result = await this.updateMany(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    if (result.modifiedCount) {
+        forgetStates(await this.distinct("_id", filter));
+    }
+
+    return result;
+};
+
+// Revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeUser = function (userId, reason, exceptId) {
+    const filter = { user: userId };
+    if (exceptId) {
+        filter._id = { $ne: exceptId };
+    }
+
+    return this.revoke(filter, reason);
+};
+
+// Record activity on a session from findActiveState, at most once per
+// LAST_SEEN_INTERVAL_MS
+sessionSchema.statics.touch = function (state, req) {
+    if (Date.now() - state.lastSeenAt < LAST_SEEN_INTERVAL_MS) return;
+
+    state.lastSeenAt = new Date();
+    return this.updateOne(
+        { _id: state.id },
+        { $set: { lastSeenAt: state.lastSeenAt, ip: req.ip } }
+    );
+};
+
+// Shape for API responses, flagging the caller's own session
+sessionSchema.methods.summarize = function (currentId) {
+    return {
+        id: this._id,
+        device: this.device,
+        ip: this.ip,
+        userAgent: this.userAgent,
+        createdAt: this.createdAt,
+        lastSeenAt: this.lastSeenAt,
+        expiresAt: this.expiresAt,
+        current: this.id === currentId,
+    };
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+module.exports = Session;
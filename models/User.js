@@ -1,10 +1,21 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { verifyCode } = require("../utils/totp");
+const { hashToken } = require("../utils/tokens");
+const {
+    PASSWORD_POLICY,
+    BCRYPT_ROUNDS,
+    PasswordPolicyError,
+    checkPasswordPolicy,
+} = require("../utils/passwordPolicy");
 
 const userSchema = new mongoose.Schema({
+    // Invited users choose their name and password when accepting
     name: {
         type: String,
-        required: true,
+        required: function () {
+            return this.status !== "invited";
+        },
         trim: true,
     },
     email: {
@@ -16,19 +27,102 @@ const userSchema = new mongoose.Schema({
     },
     password: {
         type: String,
-        required: true,
+        required: function () {
+            return this.status !== "invited";
+        },
     },
     role: {
         type: String,
         enum: ["admin", "sub-admin"],
         default: "sub-admin",
     },
+    // The admin who can transfer ownership; can't be demoted (see routes/admins.js)
+    isOwner: {
+        type: Boolean,
+        default: false,
+    },
+    // Only active users can log in; deleted users are purged after a
+    // retention period (see jobs/purgeDeletedUsers.js)
+    status: {
+        type: String,
+        enum: ["invited", "active", "suspended", "deleted"],
+        default: "active",
+        index: true,
+    },
+    suspendedAt: {
+        type: Date,
+    },
+    deletedAt: {
+        type: Date,
+    },
+    // Status to go back to when a soft-deleted user is restored
+    previousStatus: {
+        type: String,
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    // Roles granting permissions from the catalog (see models/Role.js)
+    roles: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Role",
+        },
+    ],
+    // Permissions granted directly to this user, keyed by catalog key
     permissions: {
-        dashboard: { type: Boolean, default: false },
-        collegeManagement: { type: Boolean, default: false },
-        contentEditing: { type: Boolean, default: false },
-        viewData: { type: Boolean, default: false },
-        // Add more permissions as needed
+        type: Map,
+        of: Boolean,
+        default: {},
+    },
+    // Grants limited to specific resources, keyed by catalog key, e.g.
+    // `{ "colleges:write": [collegeId] }`. They only add access for keys
+    // the user doesn't already hold globally.
+    permissionScopes: {
+        type: Map,
+        of: [String],
+        default: {},
+    },
+    // Set by an admin to force a new password at next login
+    mustChangePassword: {
+        type: Boolean,
+        default: false,
+    },
+    passwordChangedAt: {
+        type: Date,
+    },
+    // Hashes of previous passwords, most recent first
+    passwordHistory: {
+        type: [String],
+        select: false,
+    },
+    // TOTP two-factor authentication (see utils/totp.js)
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },
+        // Secret awaiting confirmation during enrollment
+        pendingSecret: { type: String, select: false },
+        // Hashes of unused one-time recovery codes
+        recoveryCodes: { type: [String], select: false },
+        // Last accepted time step, so a code can't be replayed
+        lastUsedStep: { type: Number, select: false },
+        enabledAt: Date,
+    },
+    // Brute-force protection (see middleware/loginProtection.js)
+    failedLoginAttempts: {
+        type: Number,
+        default: 0,
+    },
+    lockedUntil: {
+        type: Date,
+        default: null,
+    },
+    // Bumped by every change to the details and access admins edit; sent as
+    // the sub-admin's ETag (see utils/etag.js)
+    version: {
+        type: Number,
+        default: 0,
     },
     createdAt: {
         type: Date,
@@ -36,13 +130,67 @@ const userSchema = new mongoose.Schema({
     },
 });
 
+// At most one owner
+userSchema.index(
+    { isOwner: 1 },
+    { unique: true, partialFilterExpression: { isOwner: true } }
+);
+
+// Enforce the password policy before the password is hashed
+userSchema.pre("validate", async function (next) {
+    if (!this.isModified("password")) return next();
+
+    try {
+        const violations = checkPasswordPolicy(this.password, this);
+
+        // The current password and the stored history can't be reused
+        let recent = [];
+        if (!this.isNew && PASSWORD_POLICY.history > 0) {
+            const stored = await this.constructor
+                .findById(this._id)
+                .select("password +passwordHistory")
+                .lean();
+            recent = [stored.password, ...(stored.passwordHistory || [])]
+                .filter(Boolean)
+                .slice(0, PASSWORD_POLICY.history);
+
+            for (const hash of recent) {
+                if (await bcrypt.compare(this.password, hash)) {
+                    violations.push({
+                        rule: "history",
+                        message: `Password must not match any of your last ${PASSWORD_POLICY.history} passwords`,
+                    });
+                    break;
+                }
+            }
+        }
+
+        if (violations.length) {
+            throw new PasswordPolicyError(violations);
+        }
+
+        // Handed to the pre-save hook to update the history
+        this.$locals.recentPasswords = recent;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Pre-save hook to hash password
 userSchema.pre("save", async function (next) {
     if (!this.isModified("password")) return next();
 
     try {
-        const salt = await bcrypt.genSalt(10);
+        const salt = await bcrypt.genSalt(BCRYPT_ROUNDS);
         this.password = await bcrypt.hash(this.password, salt);
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date();
+            this.passwordHistory = (this.$locals.recentPasswords || []).slice(
+                0,
+                Math.max(PASSWORD_POLICY.history - 1, 0)
+            );
+        }
         next();
     } catch (error) {
         next(error);
@@ -51,8 +199,74 @@ userSchema.pre("save", async function (next) {
 
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (candidatePassword) {
+    // Invited users have no password until they accept
+    if (!this.password || typeof candidatePassword !== "string") return false;
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Re-hash the password if it was hashed with a lower cost than configured.
+// Call after a successful comparePassword; skips the policy and history checks.
+userSchema.methods.upgradePasswordHash = async function (password) {
+    if (bcrypt.getRounds(this.password) >= BCRYPT_ROUNDS) return;
+
+    const salt = await bcrypt.genSalt(BCRYPT_ROUNDS);
+    this.password = await bcrypt.hash(password, salt);
+    await this.constructor.updateOne(
+        { _id: this._id },
+        { $set: { password: this.password } }
+    );
+};
+
+// Check a TOTP code against the enrolled secret, rejecting replays.
+// Requires `+twoFactor.secret` to have been selected.
+userSchema.methods.verifyTwoFactorCode = async function (code) {
+    const step = verifyCode(this.twoFactor.secret, code);
+    if (step === null) return false;
+
+    // Only accept each time step once, even across concurrent requests
+    const result = await this.constructor.updateOne(
+        {
+            _id: this._id,
+            $or: [
+                { "twoFactor.lastUsedStep": { $lt: step } },
+                { "twoFactor.lastUsedStep": { $exists: false } },
+            ],
+        },
+        { $set: { "twoFactor.lastUsedStep": step } }
+    );
+
+    return result.modifiedCount === 1;
+};
+
+// Use up a recovery code; returns whether it was valid and unused
+userSchema.methods.useRecoveryCode = async function (code) {
+    const hash = hashToken(
+        String(code || "")
+            .trim()
+            .toLowerCase()
+    );
+    const result = await this.constructor.updateOne(
+        { _id: this._id, "twoFactor.recoveryCodes": hash },
+        { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+
+    return result.modifiedCount === 1;
+};
+
+// Whether the account is temporarily locked after too many failed logins
+userSchema.methods.isLocked = function () {
+    return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+// Give users saved before statuses existed the `active` status. Lean reads
+// and queries on `status` don't see the schema default, so until then those
+// users would be treated as inactive. Safe to run on every startup.
+userSchema.statics.backfillStatus = function () {
+    return this.updateMany(
+        { status: { $exists: false } },
+        { $set: { status: "active" } }
+    );
+};
+
 const User = mongoose.model("User", userSchema);
 module.exports = User;
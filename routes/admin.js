@@ -1,11 +1,98 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
-const { verifyToken } = require("../middleware/auth");
-const { checkRole } = require("../middleware/rbac");
+const Session = require("../models/Session");
+const { adminOnly } = require("../middleware/rbac");
+const { validate } = require("../middleware/validate");
+const { validateValue } = require("../utils/validation");
+const { invalidateUser } = require("../utils/userCache");
+const { recordAudit, snapshotUser } = require("../utils/audit");
+const { resolveAccess } = require("../utils/permissions");
+const { parsePagination } = require("../utils/query");
+const { toETag, checkIfMatch, matchVersion } = require("../utils/etag");
+const {
+    MERGE_PATCH_TYPE,
+    JSON_PATCH_TYPE,
+    applyMergePatch,
+    applyJsonPatch,
+    isEqual,
+} = require("../utils/patch");
+const {
+    buildSubAdminFilter,
+    parseSubAdminSort,
+} = require("../utils/subAdminQuery");
+const { SUB_ADMIN_TRANSITIONS } = require("../utils/subAdminStatus");
+const {
+    CreateSubAdmin,
+    UpdateSubAdmin,
+    SubAdminMergePatch,
+    SubAdminJsonPatch,
+    StatusChangeReason,
+    SubAdminParams,
+    UserParams,
+    SubAdminListQuery,
+} = require("../schemas/admin");
+const {
+    HttpError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
 
-// Middleware chain for admin-only routes
-const adminOnly = [verifyToken, checkRole("admin")];
+// `application/json` bodies are treated as merge patches
+const PATCH_TYPES = [MERGE_PATCH_TYPE, JSON_PATCH_TYPE, "application/json"];
+
+// Build a handler moving a sub-admin between statuses
+// (see utils/subAdminStatus.js for the transitions)
+const statusTransition = (name, message) => {
+    const {
+        from,
+        update,
+        action,
+        revokeSessions = false,
+    } = SUB_ADMIN_TRANSITIONS[name];
+
+    return async (req, res) => {
+        const existing = await User.findOne({
+            _id: req.params.id,
+            role: "sub-admin",
+        }).lean();
+        if (!existing) {
+            throw new NotFoundError("Sub-admin not found");
+        }
+
+        // The status condition guards against concurrent transitions
+        const subAdmin = await User.findOneAndUpdate(
+            { _id: existing._id, status: { $in: from } },
+            update,
+            { new: true }
+        ).select("-password");
+        if (!subAdmin) {
+            throw new ConflictError(`Sub-admin is ${existing.status}`);
+        }
+
+        if (revokeSessions) {
+            await Session.revokeUser(subAdmin._id, "admin");
+        }
+        invalidateUser(subAdmin._id);
+
+        await recordAudit(req, {
+            action,
+            target: {
+                type: "user",
+                id: subAdmin.id,
+                label: subAdmin.email,
+            },
+            before: { status: existing.status },
+            after: { status: subAdmin.status },
+            metadata: req.body?.reason
+                ? { reason: req.body.reason }
+                : undefined,
+        });
+
+        res.status(200).json({ message, subAdmin });
+    };
+};
 
 // Create sub-admin (admin only)
 /**
@@ -28,50 +115,40 @@ const adminOnly = [verifyToken, checkRole("admin")];
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *             properties:
- *               name:
- *                 type: string
- *                 example: SubAdmin1
- *               email:
- *                 type: string
- *                 example: subadmin1@example.com
- *               password:
- *                 type: string
- *                 example: SubAdmin@123
- *               permissions:
- *                 type: object
- *                 properties:
- *                   dashboard:
- *                     type: boolean
- *                     example: true
- *                   collegeManagement:
- *                     type: boolean
- *                     example: true
- *                   contentEditing:
- *                     type: boolean
- *                     example: false
- *                   viewData:
- *                     type: boolean
- *                     example: true
+ *             $ref: '#/components/schemas/CreateSubAdmin'
  *     responses:
  *       201:
  *         description: Sub-admin created successfully
  *       400:
+ *         description: >
+ *           Invalid request, unknown role or permission, or password
+ *           violates the password policy
+ *       409:
  *         description: Email already in use
  */
-router.post("/sub-admin", adminOnly, async (req, res) => {
-    try {
-        const { name, email, password, permissions } = req.body;
+router.post(
+    "/sub-admin",
+    adminOnly,
+    validate({ body: CreateSubAdmin }),
+    async (req, res) => {
+        const { name, email, password, roles, permissions, permissionScopes } =
+            req.body;
 
         // Check if user already exists
         const userExists = await User.findOne({ email });
         if (userExists) {
-            return res.status(400).json({ message: "Email already in use" });
+            throw new ConflictError("Email already in use", {
+                code: "DUPLICATE_KEY",
+            });
+        }
+
+        const access = await resolveAccess({
+            roles,
+            permissions,
+            permissionScopes,
+        });
+        if (access.error) {
+            throw new ValidationError(access.error);
         }
 
         const subAdmin = new User({
@@ -79,36 +156,60 @@ router.post("/sub-admin", adminOnly, async (req, res) => {
             email,
             password,
             role: "sub-admin",
-            permissions: permissions || {},
+            roles: access.roles || [],
+            permissions: access.permissions || {},
+            permissionScopes: access.permissionScopes || {},
         });
 
         await subAdmin.save();
 
+        await recordAudit(req, {
+            action: "sub-admin.create",
+            target: {
+                type: "user",
+                id: subAdmin.id,
+                label: subAdmin.email,
+            },
+            after: snapshotUser(subAdmin),
+        });
+
+        await subAdmin.populate("roles", "name");
+
         res.status(201).json({
             message: "Sub-admin created successfully",
             subAdmin: {
                 id: subAdmin._id,
                 name: subAdmin.name,
                 email: subAdmin.email,
+                roles: subAdmin.roles.map((role) => role.name),
                 permissions: subAdmin.permissions,
+                permissionScopes: subAdmin.permissionScopes,
             },
         });
-    } catch (error) {
-        res.status(500).json({ message: error.message });
     }
-});
+);
 
 /**
  * @swagger
  * /admin/sub-admins:
  *   get:
- *     summary: Get all sub-admins
+ *     summary: Search, filter and page through sub-admins
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SubAdminListQuery.search'
+ *       - $ref: '#/components/parameters/SubAdminListQuery.permissions'
+ *       - $ref: '#/components/parameters/SubAdminListQuery.roles'
+ *       - $ref: '#/components/parameters/SubAdminListQuery.status'
+ *       - $ref: '#/components/parameters/SubAdminListQuery.createdFrom'
+ *       - $ref: '#/components/parameters/SubAdminListQuery.createdTo'
+ *       - $ref: '#/components/parameters/SubAdminListQuery.sort'
+ *       - $ref: '#/components/parameters/SubAdminListQuery.page'
+ *       - $ref: '#/components/parameters/SubAdminListQuery.limit'
  *     responses:
  *       200:
- *         description: List of sub-admins
+ *         description: Page of sub-admins
  *         content:
  *           application/json:
  *             schema:
@@ -118,17 +219,49 @@ router.post("/sub-admin", adminOnly, async (req, res) => {
  *                   type: array
  *                   items:
  *                     type: object
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       400:
+ *         description: Invalid filter, sort or pagination
  */
-router.get("/sub-admins", adminOnly, async (req, res) => {
-    try {
-        const subAdmins = await User.find({ role: "sub-admin" }).select(
-            "-password"
-        );
-        res.status(200).json({ subAdmins });
-    } catch (error) {
-        res.status(500).json({ message: error.message });
+router.get(
+    "/sub-admins",
+    adminOnly,
+    validate({ query: SubAdminListQuery }),
+    async (req, res) => {
+        const { filter, error } = await buildSubAdminFilter(req.query);
+        const { sort, error: sortError } = parseSubAdminSort(req.query.sort);
+        if (error || sortError) {
+            throw new ValidationError(error || sortError);
+        }
+
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [subAdmins, total] = await Promise.all([
+            User.find(filter)
+                .select("-password")
+                .populate("roles", "name")
+                .sort({ ...sort, _id: 1 })
+                .skip(skip)
+                .limit(limit),
+            User.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            subAdmins,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+        });
     }
-});
+);
 
 // Get single sub-admin (admin only)
 /**
@@ -140,147 +273,750 @@ router.get("/sub-admins", adminOnly, async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: Sub-admin ID
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
  *     responses:
  *       200:
  *         description: Sub-admin data
+ *         headers:
+ *           ETag:
+ *             description: The sub-admin's version, for `If-Match` on updates
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         description: Sub-admin not found
  */
-router.get("/sub-admin/:id", adminOnly, async (req, res) => {
-    try {
+router.get(
+    "/sub-admin/:id",
+    adminOnly,
+    validate({ params: SubAdminParams }),
+    async (req, res) => {
         const subAdmin = await User.findOne({
             _id: req.params.id,
             role: "sub-admin",
-        }).select("-password");
+        })
+            .select("-password")
+            .populate("roles", "name permissions");
 
         if (!subAdmin) {
-            return res.status(404).json({ message: "Sub-admin not found" });
+            throw new NotFoundError("Sub-admin not found");
         }
 
+        res.set("ETag", toETag(subAdmin.version));
         res.status(200).json({ subAdmin });
-    } catch (error) {
-        res.status(500).json({ message: error.message });
     }
+);
+
+// Fields of a sub-admin that PATCH edits, as the client sees them
+const toEditable = (subAdmin) => ({
+    ...(subAdmin.name !== undefined && { name: subAdmin.name }),
+    email: subAdmin.email,
+    roles: (subAdmin.roles || []).map((role) => role.name),
+    permissions: subAdmin.permissions || {},
+    permissionScopes: subAdmin.permissionScopes || {},
 });
 
+// Soft-deleted sub-admins must be restored before they can be edited
+const findEditableSubAdmin = async (id) => {
+    const subAdmin = await User.findOne({
+        _id: id,
+        role: "sub-admin",
+        status: { $ne: "deleted" },
+    })
+        .populate("roles", "name")
+        .lean();
+    if (!subAdmin) {
+        throw new NotFoundError("Sub-admin not found");
+    }
+    return subAdmin;
+};
+
+// Write `changes` to a sub-admin, provided it is still at the version it was
+// read at, and respond with the result and its new ETag
+const saveSubAdminChanges = async (req, res, existing, changes) => {
+    const unchanged = !Object.keys(changes).length;
+    const filter = {
+        _id: existing._id,
+        role: "sub-admin",
+        status: { $ne: "deleted" },
+        version: matchVersion(existing.version),
+    };
+
+    const subAdmin = await (
+        unchanged
+            ? User.findOne(filter)
+            : User.findOneAndUpdate(
+                  filter,
+                  { $set: changes, $inc: { version: 1 } },
+                  { new: true, runValidators: true }
+              )
+    )
+        .select("-password")
+        .populate("roles", "name permissions");
+
+    if (!subAdmin) {
+        // Gone (404), or changed since it was read: 412 if the client sent
+        // `If-Match`, otherwise a conflict to reload and retry
+        const current = await findEditableSubAdmin(existing._id);
+        checkIfMatch(req, current.version);
+        throw new ConflictError(
+            "Sub-admin was changed by someone else; reload and retry",
+            { code: "EDIT_CONFLICT" }
+        );
+    }
+
+    if (!unchanged) {
+        // Make permission changes effective for existing tokens
+        invalidateUser(subAdmin._id);
+
+        await recordAudit(req, {
+            action: "sub-admin.update",
+            target: {
+                type: "user",
+                id: subAdmin.id,
+                label: subAdmin.email,
+            },
+            before: snapshotUser(existing),
+            after: snapshotUser(subAdmin),
+        });
+    }
+
+    res.set("ETag", toETag(subAdmin.version));
+    res.status(200).json({
+        message: "Sub-admin updated successfully",
+        subAdmin,
+    });
+};
+
 // Update sub-admin permissions (admin only)
 /**
  * @swagger
  * /admin/sub-admin/{id}:
  *   put:
  *     summary: Update a sub-admin's details or permissions
+ *     description: >
+ *       `roles`, `permissions` and `permissionScopes` replace the current
+ *       values when sent. Use PATCH to change single grants.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: Sub-admin ID
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
+ *       - $ref: '#/components/parameters/PreconditionHeaders.If-Match'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 example: SubAdmin1 Updated
- *               email:
- *                 type: string
- *                 example: subadmin1@example.com
- *               permissions:
- *                 type: object
- *                 properties:
- *                   dashboard:
- *                     type: boolean
- *                   collegeManagement:
- *                     type: boolean
- *                   contentEditing:
- *                     type: boolean
- *                   viewData:
- *                     type: boolean
+ *             $ref: '#/components/schemas/UpdateSubAdmin'
+ *     responses:
+ *       200:
+ *         description: Sub-admin updated successfully
+ *         headers:
+ *           ETag:
+ *             description: The sub-admin's new version
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid request, unknown role or unknown permission
+ *       404:
+ *         description: Sub-admin not found
+ *       409:
+ *         description: >
+ *           Email already in use by another user, or the sub-admin was
+ *           changed during the update
+ *       412:
+ *         description: The sub-admin has changed since the `If-Match` ETag
+ */
+router.put(
+    "/sub-admin/:id",
+    adminOnly,
+    validate({ params: SubAdminParams, body: UpdateSubAdmin }),
+    async (req, res) => {
+        const { name, email, roles, permissions, permissionScopes } = req.body;
+
+        const access = await resolveAccess({
+            roles,
+            permissions,
+            permissionScopes,
+        });
+        if (access.error) {
+            throw new ValidationError(access.error);
+        }
+
+        const existing = await findEditableSubAdmin(req.params.id);
+        checkIfMatch(req, existing.version);
+
+        // Only the fields sent; `access` holds the validated grants
+        await saveSubAdminChanges(req, res, existing, {
+            ...(name !== undefined && { name }),
+            ...(email !== undefined && { email }),
+            ...access,
+        });
+    }
+);
+
+// Check the patch format and validate the body against its schema
+const validatePatch = (req, res, next) => {
+    if (!req.is(PATCH_TYPES)) {
+        throw new HttpError(
+            415,
+            "UNSUPPORTED_MEDIA_TYPE",
+            `Send a ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE} body`
+        );
+    }
+
+    validate({
+        params: SubAdminParams,
+        body: req.is(JSON_PATCH_TYPE) ? SubAdminJsonPatch : SubAdminMergePatch,
+    })(req, res, next);
+};
+
+// Partially update a sub-admin (admin only)
+/**
+ * @swagger
+ * /admin/sub-admin/{id}:
+ *   patch:
+ *     summary: Partially update a sub-admin's details or permissions
+ *     description: >
+ *       Send a JSON Merge Patch (`application/json` is treated the same) or
+ *       a JSON Patch. Both apply to
+ *       `{ name, email, roles, permissions, permissionScopes }`, with roles
+ *       by name. Send the ETag from the last read in `If-Match` so that
+ *       concurrent edits fail instead of overwriting each other.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
+ *       - $ref: '#/components/parameters/PreconditionHeaders.If-Match'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubAdminMergePatch'
+ *         application/json-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubAdminJsonPatch'
  *     responses:
  *       200:
  *         description: Sub-admin updated successfully
+ *         headers:
+ *           ETag:
+ *             description: The sub-admin's new version
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: >
+ *           Invalid request, invalid patch, unknown role or unknown permission
  *       404:
  *         description: Sub-admin not found
+ *       409:
+ *         description: >
+ *           Email already in use by another user, a JSON Patch `test` failed,
+ *           or the sub-admin was changed during the update
+ *       412:
+ *         description: The sub-admin has changed since the `If-Match` ETag
+ *       415:
+ *         description: Unsupported Content-Type
  */
-router.put("/sub-admin/:id", adminOnly, async (req, res) => {
-    try {
-        const { name, email, permissions } = req.body;
+router.patch("/sub-admin/:id", adminOnly, validatePatch, async (req, res) => {
+    const existing = await findEditableSubAdmin(req.params.id);
+    checkIfMatch(req, existing.version);
+
+    const current = toEditable(existing);
+    const patch = req.is(JSON_PATCH_TYPE) ? applyJsonPatch : applyMergePatch;
+
+    // A JSON Patch can put anything anywhere, so check the result. Names
+    // can't be removed, but invited sub-admins don't have one yet.
+    const { value, errors } = validateValue(
+        {
+            ...UpdateSubAdmin,
+            required:
+                current.name !== undefined ? ["name", "email"] : ["email"],
+        },
+        patch(current, req.body)
+    );
+    if (errors.length) {
+        throw new ValidationError("Validation failed", {
+            errors: errors.map((error) => ({ location: "body", ...error })),
+        });
+    }
 
+    // Removed grants are cleared; only fields that differ are written
+    const patched = {
+        roles: [],
+        permissions: {},
+        permissionScopes: {},
+        ...value,
+    };
+    const { name, email, ...grants } = Object.fromEntries(
+        Object.keys(patched)
+            .filter((field) => !isEqual(current[field], patched[field]))
+            .map((field) => [field, patched[field]])
+    );
+
+    const access = await resolveAccess(grants);
+    if (access.error) {
+        throw new ValidationError(access.error);
+    }
+
+    await saveSubAdminChanges(req, res, existing, {
+        ...(name !== undefined && { name }),
+        ...(email !== undefined && { email }),
+        ...access,
+    });
+});
+
+// Unlock an account locked by failed logins (admin only)
+/**
+ * @swagger
+ * /admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after too many failed logins
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserParams.id'
+ *     responses:
+ *       200:
+ *         description: Account unlocked successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: User not found
+ */
+router.post(
+    "/users/:id/unlock",
+    adminOnly,
+    validate({ params: UserParams }),
+    async (req, res) => {
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $set: { failedLoginAttempts: 0, lockedUntil: null } },
+            { new: false }
+        );
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        await recordAudit(req, {
+            action: "user.unlock",
+            target: { type: "user", id: user.id, label: user.email },
+            metadata: { lockedUntil: user.lockedUntil },
+        });
+
+        res.status(200).json({ message: "Account unlocked successfully" });
+    }
+);
+
+// Force a sub-admin to change their password (admin only)
+/**
+ * @swagger
+ * /admin/sub-admin/{id}/require-password-change:
+ *   post:
+ *     summary: Require a sub-admin to change their password at next login
+ *     description: >
+ *       Until the password is changed, every endpoint except
+ *       POST /auth/change-password responds with 403.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
+ *     responses:
+ *       200:
+ *         description: Password change required
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Sub-admin not found
+ */
+router.post(
+    "/sub-admin/:id/require-password-change",
+    adminOnly,
+    validate({ params: SubAdminParams }),
+    async (req, res) => {
         const subAdmin = await User.findOneAndUpdate(
             { _id: req.params.id, role: "sub-admin" },
-            {
-                $set: {
-                    name: name,
-                    email: email,
-                    permissions: permissions,
-                },
+            { $set: { mustChangePassword: true } }
+        );
+
+        if (!subAdmin) {
+            throw new NotFoundError("Sub-admin not found");
+        }
+
+        invalidateUser(subAdmin._id);
+
+        await recordAudit(req, {
+            action: "sub-admin.require-password-change",
+            target: {
+                type: "user",
+                id: subAdmin.id,
+                label: subAdmin.email,
             },
-            { new: true, runValidators: true }
-        ).select("-password");
+        });
+
+        res.status(200).json({
+            message: "Sub-admin must change password at next login",
+        });
+    }
+);
+
+// Reset two-factor authentication for a user who lost their device (admin only)
+/**
+ * @swagger
+ * /admin/users/{id}/2fa/reset:
+ *   post:
+ *     summary: Turn off two-factor authentication for a user
+ *     description: >
+ *       For users who lost their authenticator and recovery codes. Users
+ *       whose role requires 2FA will have to enroll again at next login.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UserParams.id'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: User not found
+ */
+router.post(
+    "/users/:id/2fa/reset",
+    adminOnly,
+    validate({ params: UserParams }),
+    async (req, res) => {
+        const user = await User.findByIdAndUpdate(req.params.id, {
+            $set: { twoFactor: { enabled: false } },
+        });
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
 
+        invalidateUser(user._id);
+
+        await recordAudit(req, {
+            action: "user.2fa-reset",
+            target: { type: "user", id: user.id, label: user.email },
+        });
+
+        res.status(200).json({
+            message: "Two-factor authentication reset successfully",
+        });
+    }
+);
+
+// List a sub-admin's active sessions (admin only)
+/**
+ * @swagger
+ * /admin/sub-admin/{id}/sessions:
+ *   get:
+ *     summary: List a sub-admin's active sessions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Sub-admin not found
+ */
+router.get(
+    "/sub-admin/:id/sessions",
+    adminOnly,
+    validate({ params: SubAdminParams }),
+    async (req, res) => {
+        const subAdmin = await User.exists({
+            _id: req.params.id,
+            role: "sub-admin",
+        });
         if (!subAdmin) {
-            return res.status(404).json({ message: "Sub-admin not found" });
+            throw new NotFoundError("Sub-admin not found");
         }
 
+        const sessions = await Session.listActive(subAdmin._id);
+
         res.status(200).json({
-            message: "Sub-admin updated successfully",
-            subAdmin,
+            sessions: sessions.map((session) => session.summarize()),
         });
-    } catch (error) {
-        res.status(500).json({ message: error.message });
     }
-});
+);
+
+// Sign a sub-admin out everywhere (admin only)
+/**
+ * @swagger
+ * /admin/sub-admin/{id}/sessions:
+ *   delete:
+ *     summary: Revoke all of a sub-admin's sessions
+ *     description: >
+ *       Their access and refresh tokens stop working immediately; they
+ *       have to log in again.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Sub-admin not found
+ */
+router.delete(
+    "/sub-admin/:id/sessions",
+    adminOnly,
+    validate({ params: SubAdminParams }),
+    async (req, res) => {
+        const subAdmin = await User.findOne({
+            _id: req.params.id,
+            role: "sub-admin",
+        }).select("email");
+        if (!subAdmin) {
+            throw new NotFoundError("Sub-admin not found");
+        }
+
+        const { modifiedCount } = await Session.revokeUser(
+            subAdmin._id,
+            "admin"
+        );
+
+        await recordAudit(req, {
+            action: "sub-admin.sessions-revoke",
+            target: {
+                type: "user",
+                id: subAdmin.id,
+                label: subAdmin.email,
+            },
+            metadata: { revoked: modifiedCount },
+        });
+
+        res.status(200).json({
+            message: "Sessions revoked successfully",
+            revoked: modifiedCount,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * components:
+ *   requestBodies:
+ *     StatusChangeReason:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatusChangeReason'
+ */
 
-// Delete sub-admin (admin only)
+// Suspend sub-admin (admin only)
+/**
+ * @swagger
+ * /admin/sub-admin/{id}/suspend:
+ *   post:
+ *     summary: Temporarily disable an active sub-admin
+ *     description: Signs the sub-admin out of all sessions immediately.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/StatusChangeReason'
+ *     responses:
+ *       200:
+ *         description: Sub-admin suspended successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Sub-admin not found
+ *       409:
+ *         description: Sub-admin is not active
+ */
+router.post(
+    "/sub-admin/:id/suspend",
+    adminOnly,
+    validate({ params: SubAdminParams, body: StatusChangeReason }),
+    statusTransition("suspend", "Sub-admin suspended successfully")
+);
+
+// Reactivate sub-admin (admin only)
+/**
+ * @swagger
+ * /admin/sub-admin/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a suspended sub-admin
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/StatusChangeReason'
+ *     responses:
+ *       200:
+ *         description: Sub-admin reactivated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Sub-admin not found
+ *       409:
+ *         description: Sub-admin is not suspended
+ */
+router.post(
+    "/sub-admin/:id/reactivate",
+    adminOnly,
+    validate({ params: SubAdminParams, body: StatusChangeReason }),
+    statusTransition("reactivate", "Sub-admin reactivated successfully")
+);
+
+// Soft-delete sub-admin (admin only)
 /**
  * @swagger
  * /admin/sub-admin/{id}:
  *   delete:
- *     summary: Delete a sub-admin by ID
+ *     summary: Soft-delete a sub-admin by ID
+ *     description: >
+ *       The sub-admin loses access immediately and can be restored until it
+ *       is purged after the retention period (DELETED_USER_RETENTION_DAYS).
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: Sub-admin ID
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/StatusChangeReason'
  *     responses:
  *       200:
  *         description: Sub-admin deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         description: Sub-admin not found
+ *       409:
+ *         description: Sub-admin is already deleted
  */
-router.delete("/sub-admin/:id", adminOnly, async (req, res) => {
-    try {
-        const subAdmin = await User.findOneAndDelete({
+router.delete(
+    "/sub-admin/:id",
+    adminOnly,
+    validate({ params: SubAdminParams, body: StatusChangeReason }),
+    statusTransition("delete", "Sub-admin deleted successfully")
+);
+
+// Restore soft-deleted sub-admin (admin only)
+/**
+ * @swagger
+ * /admin/sub-admin/{id}/restore:
+ *   post:
+ *     summary: Restore a soft-deleted sub-admin to its previous status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/StatusChangeReason'
+ *     responses:
+ *       200:
+ *         description: Sub-admin restored successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Sub-admin not found
+ *       409:
+ *         description: Sub-admin is not deleted
+ */
+router.post(
+    "/sub-admin/:id/restore",
+    adminOnly,
+    validate({ params: SubAdminParams, body: StatusChangeReason }),
+    statusTransition("restore", "Sub-admin restored successfully")
+);
+
+// Promote sub-admin to admin (admin only)
+/**
+ * @swagger
+ * /admin/sub-admin/{id}/promote:
+ *   post:
+ *     summary: Promote an active sub-admin to admin
+ *     description: >
+ *       The new admin has every permission. Demote admins again at
+ *       POST /admin/admins/{id}/demote.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SubAdminParams.id'
+ *     responses:
+ *       200:
+ *         description: Sub-admin promoted successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Sub-admin not found
+ *       409:
+ *         description: Sub-admin is not active
+ */
+router.post(
+    "/sub-admin/:id/promote",
+    adminOnly,
+    validate({ params: SubAdminParams }),
+    async (req, res) => {
+        const existing = await User.findOne({
             _id: req.params.id,
             role: "sub-admin",
-        });
+        }).lean();
+        if (!existing) {
+            throw new NotFoundError("Sub-admin not found");
+        }
 
-        if (!subAdmin) {
-            return res.status(404).json({ message: "Sub-admin not found" });
+        const admin = await User.findOneAndUpdate(
+            { _id: existing._id, role: "sub-admin", status: "active" },
+            { $set: { role: "admin" } },
+            { new: true }
+        ).select("-password");
+        if (!admin) {
+            throw new ConflictError(`Sub-admin is ${existing.status}`);
         }
 
-        res.status(200).json({ message: "Sub-admin deleted successfully" });
-    } catch (error) {
-        res.status(500).json({ message: error.message });
+        invalidateUser(admin._id);
+
+        await recordAudit(req, {
+            action: "admin.promote",
+            target: { type: "user", id: admin.id, label: admin.email },
+            before: snapshotUser(existing),
+            after: snapshotUser(admin),
+        });
+
+        res.status(200).json({
+            message: "Sub-admin promoted successfully",
+            user: admin,
+        });
     }
-});
+);
 
 module.exports = router;
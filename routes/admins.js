@@ -0,0 +1,258 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const { adminOnly } = require("../middleware/rbac");
+const { validate } = require("../middleware/validate");
+const { AdminParams, TransferOwnership } = require("../schemas/admin");
+const { invalidateUser } = require("../utils/userCache");
+const { recordAudit, snapshotUser } = require("../utils/audit");
+const {
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+
+const countActiveAdmins = () =>
+    User.countDocuments({ role: "admin", status: "active" });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admins
+ *   description: >
+ *     Admin accounts and ownership. There is always at least one active
+ *     admin; the owner can't be demoted and admins can't demote themselves.
+ *     Admin accounts can't be suspended or deleted; demote them first.
+ */
+
+/**
+ * @swagger
+ * /admin/admins:
+ *   get:
+ *     summary: List admins
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All admins, owner first
+ */
+router.get("/", adminOnly, async (req, res) => {
+    const admins = await User.find({ role: "admin" })
+        .select("name email status isOwner createdAt")
+        .sort({ isOwner: -1, createdAt: 1 });
+
+    res.status(200).json({ admins });
+});
+
+/**
+ * @swagger
+ * /admin/admins/{id}/demote:
+ *   post:
+ *     summary: Demote an admin to sub-admin
+ *     description: >
+ *       The demoted account keeps no permissions; grant them as for any
+ *       sub-admin.
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AdminParams.id'
+ *     responses:
+ *       200:
+ *         description: Admin demoted successfully
+ *       400:
+ *         description: Invalid ID, or admins can't demote themselves
+ *       404:
+ *         description: Admin not found
+ *       409:
+ *         description: Target is the owner or the last active admin
+ */
+router.post(
+    "/:id/demote",
+    adminOnly,
+    validate({ params: AdminParams }),
+    async (req, res) => {
+        if (req.params.id === req.user.id) {
+            throw new ValidationError(
+                "You can't demote yourself; ask another admin"
+            );
+        }
+
+        const existing = await User.findOne({
+            _id: req.params.id,
+            role: "admin",
+        }).lean();
+        if (!existing) {
+            throw new NotFoundError("Admin not found");
+        }
+        if (existing.isOwner) {
+            throw new ConflictError(
+                "Transfer ownership before demoting the owner"
+            );
+        }
+
+        const admin = await User.findOneAndUpdate(
+            { _id: existing._id, role: "admin", isOwner: { $ne: true } },
+            {
+                $set: { role: "sub-admin", permissions: {} },
+                $inc: { version: 1 },
+            },
+            { new: true }
+        ).select("-password");
+        if (!admin) {
+            throw new NotFoundError("Admin not found");
+        }
+
+        // Undo if concurrent demotions left no active admin
+        if ((await countActiveAdmins()) === 0) {
+            await User.updateOne(
+                { _id: existing._id },
+                {
+                    $set: {
+                        role: "admin",
+                        permissions: existing.permissions || {},
+                    },
+                    $inc: { version: 1 },
+                }
+            );
+            throw new ConflictError("Can't demote the last active admin");
+        }
+
+        invalidateUser(admin._id);
+
+        await recordAudit(req, {
+            action: "admin.demote",
+            target: { type: "user", id: admin.id, label: admin.email },
+            before: snapshotUser(existing),
+            after: snapshotUser(admin),
+        });
+
+        res.status(200).json({
+            message: "Admin demoted successfully",
+            user: admin,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/admins/transfer-ownership:
+ *   post:
+ *     summary: Make another active admin the owner
+ *     description: >
+ *       Only the owner can transfer ownership, confirming with their
+ *       password. If no owner has been set yet, the longest-standing active
+ *       admin can, including to themselves.
+ *     tags: [Admins]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferOwnership'
+ *     responses:
+ *       200:
+ *         description: Ownership transferred successfully
+ *       400:
+ *         description: Invalid request or target is already the owner
+ *       401:
+ *         description: Incorrect password
+ *       403:
+ *         description: >
+ *           Caller is not the owner, or no owner is set and the caller isn't
+ *           the longest-standing active admin
+ *       404:
+ *         description: Active admin not found
+ *       409:
+ *         description: Target stopped being an active admin meanwhile
+ */
+router.post(
+    "/transfer-ownership",
+    adminOnly,
+    validate({ body: TransferOwnership }),
+    async (req, res) => {
+        const { userId, password } = req.body;
+
+        const owner = await User.findOne({ isOwner: true }).lean();
+        if (owner && String(owner._id) !== req.user.id) {
+            throw new ForbiddenError("Only the owner can transfer ownership");
+        }
+
+        // Without an owner, the longest-standing active admin decides
+        if (!owner) {
+            const senior = await User.findOne({
+                role: "admin",
+                status: "active",
+            })
+                .sort({ createdAt: 1, _id: 1 })
+                .select("_id")
+                .lean();
+            if (String(senior?._id) !== req.user.id) {
+                throw new ForbiddenError(
+                    "No owner is set; only the longest-standing admin can assign ownership"
+                );
+            }
+        }
+
+        const caller = await User.findById(req.user.id);
+        if (!(await caller.comparePassword(password))) {
+            throw new UnauthorizedError("Incorrect password", {
+                code: "INVALID_CREDENTIALS",
+            });
+        }
+
+        if (owner && userId === req.user.id) {
+            throw new ValidationError("You already own this installation");
+        }
+
+        const target = await User.findOne({
+            _id: userId,
+            role: "admin",
+            status: "active",
+        });
+        if (!target) {
+            throw new NotFoundError("Active admin not found");
+        }
+
+        // Only one owner may exist at a time, so clear the flag first and
+        // put it back if the target can't take over
+        const restoreOwner = () =>
+            owner &&
+            User.updateOne({ _id: owner._id }, { $set: { isOwner: true } });
+
+        await User.updateMany({ isOwner: true }, { $set: { isOwner: false } });
+        let result;
+        try {
+            result = await User.updateOne(
+                { _id: target._id, role: "admin", status: "active" },
+                { $set: { isOwner: true } }
+            );
+        } catch (error) {
+            await restoreOwner();
+            throw error;
+        }
+        if (!result.matchedCount) {
+            await restoreOwner();
+            throw new ConflictError("Admin is no longer active");
+        }
+
+        await recordAudit(req, {
+            action: "admin.transfer-ownership",
+            target: { type: "user", id: target.id, label: target.email },
+            before: { owner: owner ? String(owner._id) : null },
+            after: { owner: target.id },
+        });
+
+        res.status(200).json({
+            message: "Ownership transferred successfully",
+            owner: { id: target._id, name: target.name, email: target.email },
+        });
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,338 @@
+const express = require("express");
+const router = express.Router();
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+const Permission = require("../models/Permission");
+const { adminOnly } = require("../middleware/rbac");
+const { validate } = require("../middleware/validate");
+const { recordAudit } = require("../utils/audit");
+const {
+    CreateApiKey,
+    RotateApiKey,
+    ApiKeyParams,
+} = require("../schemas/admin");
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `null` days never expire
+const expiryIn = (days) =>
+    days === null ? null : new Date(Date.now() + days * DAY_MS);
+
+const auditTarget = (apiKey) => ({
+    type: "api-key",
+    id: apiKey.id,
+    label: apiKey.name,
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: >
+ *     Keys for services and scheduled jobs, sent in the `X-API-Key` header.
+ *     They are accepted by the read endpoints under /features/data and
+ *     /features/colleges, with the key's own permissions, and stop working
+ *     when their owner is no longer an active admin.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         owner:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         prefix:
+ *           type: string
+ *           description: Start of the key, to tell keys apart
+ *           example: ak_1f2e3d4c
+ *         status:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Updated at most once a minute
+ *         lastUsedIp:
+ *           type: string
+ *         rotatedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ApiKeyWithSecret:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         apiKey:
+ *           $ref: '#/components/schemas/ApiKey'
+ *         key:
+ *           type: string
+ *           description: The secret to send in `X-API-Key`. Only shown once.
+ *           example: ak_1f2e3d4c_R2l2ZSBtZSBhIGtleSBwbGVhc2U
+ */
+
+/**
+ * @swagger
+ * /admin/api-keys:
+ *   get:
+ *     summary: List API keys, newest first
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All keys, including expired and revoked ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 apiKeys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ */
+router.get("/", adminOnly, async (req, res) => {
+    const apiKeys = await ApiKey.find()
+        .sort({ createdAt: -1 })
+        .populate("owner", "name email");
+
+    res.status(200).json({
+        apiKeys: apiKeys.map((apiKey) => apiKey.summarize()),
+    });
+});
+
+/**
+ * @swagger
+ * /admin/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The response holds the key itself, which can't be retrieved later.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateApiKey'
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyWithSecret'
+ *       400:
+ *         description: >
+ *           Invalid request, unknown permission, or the owner isn't an active
+ *           admin
+ */
+router.post(
+    "/",
+    adminOnly,
+    validate({ body: CreateApiKey }),
+    async (req, res) => {
+        const { name, expiresInDays, owner = req.user.id } = req.body;
+        const permissions = [...new Set(req.body.permissions)];
+
+        const unknown = await Permission.findUnknown(permissions);
+        if (unknown.length) {
+            throw new ValidationError(
+                `Unknown permissions: ${unknown.join(", ")}`
+            );
+        }
+
+        if (
+            !(await User.exists({
+                _id: owner,
+                role: "admin",
+                status: "active",
+            }))
+        ) {
+            throw new ValidationError("Owner must be an active admin");
+        }
+
+        const { apiKey, secret } = await ApiKey.issue({
+            name,
+            owner,
+            permissions,
+            expiresAt: expiryIn(expiresInDays),
+            createdBy: req.user.id,
+        });
+        await apiKey.populate("owner", "name email");
+
+        await recordAudit(req, {
+            action: "api-key.create",
+            target: auditTarget(apiKey),
+            metadata: {
+                owner: apiKey.owner.email,
+                permissions,
+                expiresAt: apiKey.expiresAt,
+            },
+        });
+
+        res.status(201).json({
+            message: "API key created; copy it now, it won't be shown again",
+            apiKey: apiKey.summarize(),
+            key: secret,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Replace an API key's secret
+ *     description: >
+ *       The previous secret stops working immediately. Name, owner and
+ *       permissions are kept.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ApiKeyParams.id'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RotateApiKey'
+ *     responses:
+ *       200:
+ *         description: API key rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyWithSecret'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: API key is revoked
+ */
+router.post(
+    "/:id/rotate",
+    adminOnly,
+    validate({ params: ApiKeyParams, body: RotateApiKey }),
+    async (req, res) => {
+        const apiKey = await ApiKey.findById(req.params.id).populate(
+            "owner",
+            "name email"
+        );
+        if (!apiKey) {
+            throw new NotFoundError("API key not found");
+        }
+        if (apiKey.revokedAt) {
+            throw new ConflictError("API key is revoked");
+        }
+
+        const { expiresInDays } = req.body;
+        const secret = await apiKey.rotate(
+            expiresInDays === undefined
+                ? apiKey.expiresAt
+                : expiryIn(expiresInDays)
+        );
+
+        await recordAudit(req, {
+            action: "api-key.rotate",
+            target: auditTarget(apiKey),
+            metadata: { expiresAt: apiKey.expiresAt },
+        });
+
+        res.status(200).json({
+            message: "API key rotated; copy it now, it won't be shown again",
+            apiKey: apiKey.summarize(),
+            key: secret,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately and can't be restored.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ApiKeyParams.id'
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: API key is already revoked
+ */
+router.delete(
+    "/:id",
+    adminOnly,
+    validate({ params: ApiKeyParams }),
+    async (req, res) => {
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: req.params.id, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        ).populate("owner", "name email");
+        if (!apiKey) {
+            if (await ApiKey.exists({ _id: req.params.id })) {
+                throw new ConflictError("API key is already revoked");
+            }
+            throw new NotFoundError("API key not found");
+        }
+
+        await recordAudit(req, {
+            action: "api-key.revoke",
+            target: auditTarget(apiKey),
+        });
+
+        res.status(200).json({
+            message: "API key revoked",
+            apiKey: apiKey.summarize(),
+        });
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const AuditLog = require("../models/AuditLog");
+const { adminOnly } = require("../middleware/rbac");
+const { validate } = require("../middleware/validate");
+const { AuditLogQuery, AuditLogExportQuery } = require("../schemas/auditLogs");
+const { toCsv } = require("../utils/csv");
+const {
+    escapeRegex,
+    parsePagination,
+    parseDateRange,
+    parseList,
+} = require("../utils/query");
+const { ValidationError } = require("../utils/errors");
+
+// Upper bound on rows in a single export
+const EXPORT_LIMIT = 10000;
+
+// Build a MongoDB filter from the query string. Returns `{ error }` on bad input.
+const buildFilter = (query) => {
+    const filter = {};
+
+    if (query.actor) {
+        if (mongoose.isValidObjectId(query.actor)) {
+            filter["actor.id"] = query.actor;
+        } else {
+            filter["actor.email"] = String(query.actor).toLowerCase();
+        }
+    }
+
+    // Comma-separated list; a trailing `*` matches a prefix (`sub-admin.*`)
+    if (query.action) {
+        const actions = parseList(query.action).map((action) =>
+            action.endsWith("*")
+                ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`)
+                : action
+        );
+        filter.action = { $in: actions };
+    }
+
+    if (query.target) {
+        filter["target.id"] = String(query.target);
+    }
+
+    if (query.targetType) {
+        filter["target.type"] = String(query.targetType);
+    }
+
+    const createdAt = parseDateRange(query, "from", "to");
+    if (createdAt.error) return { error: createdAt.error };
+    if (createdAt.condition) filter.createdAt = createdAt.condition;
+
+    return { filter };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit log of administrative actions
+ */
+
+/**
+ * @swagger
+ * /admin/audit-logs:
+ *   get:
+ *     summary: List audit log entries, newest first
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditLogQuery.actor'
+ *       - $ref: '#/components/parameters/AuditLogQuery.action'
+ *       - $ref: '#/components/parameters/AuditLogQuery.target'
+ *       - $ref: '#/components/parameters/AuditLogQuery.targetType'
+ *       - $ref: '#/components/parameters/AuditLogQuery.from'
+ *       - $ref: '#/components/parameters/AuditLogQuery.to'
+ *       - $ref: '#/components/parameters/AuditLogQuery.page'
+ *       - $ref: '#/components/parameters/AuditLogQuery.limit'
+ *     responses:
+ *       200:
+ *         description: Page of audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 logs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get(
+    "/",
+    adminOnly,
+    validate({ query: AuditLogQuery }),
+    async (req, res) => {
+        const { filter, error } = buildFilter(req.query);
+        if (error) {
+            throw new ValidationError(error);
+        }
+
+        const { page, limit, skip } = parsePagination(req.query, {
+            defaultLimit: 50,
+        });
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            AuditLog.countDocuments(filter),
+        ]);
+
+        res.status(200).json({ logs, total, page, limit });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/audit-logs/export:
+ *   get:
+ *     summary: Export matching audit log entries as CSV or JSON
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditLogExportQuery.format'
+ *       - $ref: '#/components/parameters/AuditLogExportQuery.actor'
+ *       - $ref: '#/components/parameters/AuditLogExportQuery.action'
+ *       - $ref: '#/components/parameters/AuditLogExportQuery.target'
+ *       - $ref: '#/components/parameters/AuditLogExportQuery.targetType'
+ *       - $ref: '#/components/parameters/AuditLogExportQuery.from'
+ *       - $ref: '#/components/parameters/AuditLogExportQuery.to'
+ *     responses:
+ *       200:
+ *         description: Exported audit log file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get(
+    "/export",
+    adminOnly,
+    validate({ query: AuditLogExportQuery }),
+    async (req, res) => {
+        const { format } = req.query;
+
+        const { filter, error } = buildFilter(req.query);
+        if (error) {
+            throw new ValidationError(error);
+        }
+
+        const logs = await AuditLog.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(EXPORT_LIMIT)
+            .lean();
+
+        const filename = `audit-logs-${new Date().toISOString().slice(0, 10)}`;
+        res.attachment(`${filename}.${format}`);
+
+        if (format === "json") {
+            return res.status(200).json(logs);
+        }
+
+        res.type("text/csv").status(200).send(
+            toCsv(logs, [
+                { header: "timestamp", value: (log) => log.createdAt },
+                { header: "action", value: (log) => log.action },
+                { header: "actorId", value: (log) => log.actor?.id },
+                { header: "actorEmail", value: (log) => log.actor?.email },
+                { header: "targetType", value: (log) => log.target?.type },
+                { header: "targetId", value: (log) => log.target?.id },
+                { header: "targetLabel", value: (log) => log.target?.label },
+                { header: "before", value: (log) => log.changes?.before },
+                { header: "after", value: (log) => log.changes?.after },
+                { header: "metadata", value: (log) => log.metadata },
+                { header: "ip", value: (log) => log.ip },
+                { header: "userAgent", value: (log) => log.userAgent },
+            ])
+        );
+    }
+);
+
+module.exports = router;
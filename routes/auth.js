@@ -1,9 +1,180 @@
 const express = require("express");
+const jwt = require("jsonwebtoken");
+const rateLimit = require("express-rate-limit");
 const router = express.Router();
 const User = require("../models/User");
-const { generateToken } = require("../middleware/auth");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const OneTimeToken = require("../models/OneTimeToken");
+const {
+    generateToken,
+    generateChallengeToken,
+    verifyChallengeToken,
+    authenticate,
+} = require("../middleware/auth");
+const { sendMail } = require("../utils/mailer");
+const { getAuthUser, invalidateUser } = require("../utils/userCache");
+const { recordAudit } = require("../utils/audit");
+const { loginProtection } = require("../middleware/loginProtection");
+const { validate } = require("../middleware/validate");
+const { rateLimitHandler } = require("../middleware/errorHandler");
+const {
+    isSetupComplete,
+    verifySetupToken,
+    createOwner,
+} = require("../utils/setup");
+const {
+    AdminSignup,
+    Login,
+    TwoFactorChallenge,
+    RefreshTokenBody,
+    ChangePassword,
+    ForgotPassword,
+    ResetPassword,
+    AcceptInvite,
+} = require("../schemas/auth");
+const {
+    HttpError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+} = require("../utils/errors");
 
-// Admin signup (can be restricted to one-time use)
+// Refresh tokens are only ever sent to the auth endpoints
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+// Set access and refresh tokens as HTTP-only cookies for better security
+const setAuthCookies = (res, token, refresh) => {
+    const { exp } = jwt.decode(token);
+
+    res.cookie("token", token, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production", // Use secure in production
+        maxAge: exp * 1000 - Date.now(),
+    });
+    res.cookie("refreshToken", refresh.token, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        path: REFRESH_COOKIE_PATH,
+        expires: refresh.expiresAt,
+    });
+};
+
+const clearAuthCookies = (res) => {
+    res.clearCookie("token");
+    res.clearCookie("refreshToken", { path: REFRESH_COOKIE_PATH });
+};
+
+// Start a new session with its first refresh token plus an access token
+const startSession = async (req, res, user) => {
+    const refresh = await RefreshToken.startSession(user._id, req);
+    const token = generateToken(user, refresh.session);
+
+    setAuthCookies(res, token, refresh);
+
+    return { token, refreshToken: refresh.token };
+};
+
+const getRefreshToken = (req) =>
+    req.cookies.refreshToken || req.body?.refreshToken;
+
+const PASSWORD_RESET_TOKEN_TTL_MINUTES =
+    Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 30;
+
+// Refuse a login attempt on a locked account
+const rejectLocked = async (req, res, user) => {
+    await recordAudit(req, {
+        action: "auth.login.failed",
+        actor: null,
+        target: { type: "user", id: user.id, label: user.email },
+        metadata: { email: user.email, reason: "locked" },
+    });
+    res.set(
+        "Retry-After",
+        String(Math.ceil((user.lockedUntil - Date.now()) / 1000))
+    );
+    throw new HttpError(
+        423,
+        "ACCOUNT_LOCKED",
+        "Account temporarily locked, please try again later",
+        { lockedUntil: user.lockedUntil }
+    );
+};
+
+// Record a failed password or 2FA code, locking the account when needed
+const registerLoginFailure = async (req, user, reason) => {
+    await recordAudit(req, {
+        action: "auth.login.failed",
+        actor: null,
+        target: { type: "user", id: user.id, label: user.email },
+        metadata: { email: user.email, reason },
+    });
+
+    const lockedUntil = await loginProtection.registerFailure(user);
+    if (lockedUntil) {
+        await recordAudit(req, {
+            action: "auth.lockout",
+            actor: null,
+            target: { type: "user", id: user.id, label: user.email },
+            metadata: { lockedUntil },
+        });
+    }
+};
+
+// Start a session for a fully authenticated user and send the login response
+const completeLogin = async (req, res, user) => {
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await startSession(req, res, user);
+
+    // Effective permissions combine the user's roles and direct grants
+    const { roles, permissions, twoFactorRequired, twoFactorEnabled } =
+        await getAuthUser(user._id);
+
+    await recordAudit(req, {
+        action: "auth.login",
+        actor: user,
+        target: { type: "user", id: user.id, label: user.email },
+    });
+
+    res.status(200).json({
+        message: "Login successful",
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            roles,
+            permissions,
+        },
+        mustChangePassword: user.mustChangePassword,
+        twoFactorSetupRequired: twoFactorRequired && !twoFactorEnabled,
+        token,
+        refreshToken,
+    });
+};
+
+// Limit reset requests so the endpoint can't be used to flood inboxes
+const forgotPasswordLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 5,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    message: "Too many requests, please try again later",
+    handler: rateLimitHandler,
+});
+
+// Slow down guessing of the setup token
+const setupLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 10,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    message: "Too many requests, please try again later",
+    handler: rateLimitHandler,
+});
+
+// Admin signup, only with the setup token and only until an admin exists
 /**
  * @swagger
  * tags:
@@ -16,70 +187,89 @@ const { generateToken } = require("../middleware/auth");
  * /auth/admin/signup:
  *   post:
  *     summary: Create the initial admin account
+ *     description: >
+ *       Requires the one-time setup token configured in `SETUP_TOKEN`, and
+ *       only works until the first admin exists. Without `SETUP_TOKEN` the
+ *       route is disabled; create the admin with `npm run create-admin`
+ *       instead. Unset `SETUP_TOKEN` once setup is done.
  *     tags: [Auth]
+ *     parameters:
+ *       - in: header
+ *         name: X-Setup-Token
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *             properties:
- *               name:
- *                 type: string
- *                 example: Admin
- *               email:
- *                 type: string
- *                 example: admin@example.com
- *               password:
- *                 type: string
- *                 example: Admin@123
+ *             $ref: '#/components/schemas/AdminSignup'
  *     responses:
  *       201:
  *         description: Admin account created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *       400:
- *         description: Admin already exists
+ *         description: Invalid request or password violates the password policy
+ *       403:
+ *         description: Missing or invalid setup token
+ *       404:
+ *         description: Setup is disabled or already complete
+ *       429:
+ *         description: Too many attempts
  */
-router.post("/admin/signup", async (req, res) => {
-    try {
-        // Check if admin already exists
-        const adminExists = await User.findOne({ role: "admin" });
-        if (adminExists) {
-            return res
-                .status(400)
-                .json({ message: "Admin account already exists" });
+router.post(
+    "/admin/signup",
+    setupLimiter,
+    validate({ body: AdminSignup }),
+    async (req, res) => {
+        // Don't reveal whether setup is pending to callers without the token
+        if (!process.env.SETUP_TOKEN || (await isSetupComplete())) {
+            throw new NotFoundError("Setup is not available");
+        }
+
+        if (!verifySetupToken(req.get("x-setup-token"))) {
+            throw new ForbiddenError("Invalid setup token", {
+                code: "INVALID_TOKEN",
+            });
         }
 
         const { name, email, password } = req.body;
 
-        const admin = new User({
-            name,
-            email,
-            password,
-            role: "admin",
-            permissions: {
-                dashboard: true,
-                collegeManagement: true,
-                contentEditing: true,
-                viewData: true,
-            },
-        });
+        let admin;
+        try {
+            admin = await createOwner({ name, email, password });
+        } catch (error) {
+            // Another request completed setup first
+            if (error.code === 11000) {
+                throw new NotFoundError("Setup is not available");
+            }
+            throw error;
+        }
 
-        await admin.save();
+        await recordAudit(req, {
+            action: "auth.admin-signup",
+            actor: admin,
+            target: { type: "user", id: admin.id, label: admin.email },
+        });
 
-        const token = generateToken(admin);
+        const { token, refreshToken } = await startSession(req, res, admin);
 
         res.status(201).json({
             message: "Admin account created successfully",
             token,
+            refreshToken,
         });
-    } catch (error) {
-        res.status(500).json({ message: error.message });
     }
-});
+);
 
 // Login route for both admin and sub-admin
 /**
@@ -93,88 +283,556 @@ router.post("/admin/signup", async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 example: admin@example.com
- *               password:
- *                 type: string
- *                 example: Admin@123
+ *             $ref: '#/components/schemas/Login'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: >
+ *           Login successful, or - for users with two-factor authentication -
+ *           a challenge token to complete the login at POST /auth/2fa/verify
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Only present when twoFactorRequired is true
+ *                 mustChangePassword:
+ *                   type: boolean
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for POST /auth/refresh
  *                 user:
  *                   type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account suspended
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed login attempts from this IP
  */
-router.post("/login", async (req, res) => {
-    try {
+router.post(
+    "/login",
+    loginProtection.limiter,
+    validate({ body: Login }),
+    async (req, res) => {
         const { email, password } = req.body;
 
         // Find user by email
         const user = await User.findOne({ email });
+
+        // Slow down repeated failures from this IP or against this account
+        await loginProtection.throttle(req, user);
+
         if (!user) {
-            return res.status(401).json({ message: "Invalid credentials" });
+            await recordAudit(req, {
+                action: "auth.login.failed",
+                actor: null,
+                metadata: { email, reason: "unknown-email" },
+            });
+            throw new UnauthorizedError("Invalid credentials", {
+                code: "INVALID_CREDENTIALS",
+            });
+        }
+
+        if (user.isLocked()) {
+            await rejectLocked(req, res, user);
         }
 
         // Verify password
         const isMatch = await user.comparePassword(password);
         if (!isMatch) {
-            return res.status(401).json({ message: "Invalid credentials" });
+            await registerLoginFailure(req, user, "wrong-password");
+            throw new UnauthorizedError("Invalid credentials", {
+                code: "INVALID_CREDENTIALS",
+            });
         }
 
-        // Generate token
-        const token = generateToken(user);
+        // Checked after the password so guessers can't probe account status
+        if (user.status !== "active") {
+            await recordAudit(req, {
+                action: "auth.login.failed",
+                actor: null,
+                target: { type: "user", id: user.id, label: user.email },
+                metadata: { email, reason: user.status },
+            });
+            if (user.status === "suspended") {
+                throw new ForbiddenError("Account suspended", {
+                    code: "ACCOUNT_SUSPENDED",
+                });
+            }
+            throw new UnauthorizedError("Invalid credentials", {
+                code: "INVALID_CREDENTIALS",
+            });
+        }
 
-        // Set token as HTTP-only cookie for better security
-        res.cookie("token", token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === "production", // Use secure in production
-            maxAge: 3600000, // 1 hour
-        });
+        // Transparently move old hashes to the configured bcrypt cost
+        await user.upgradePasswordHash(password);
+
+        // Second step required: no session until the code is verified
+        if (user.twoFactor.enabled) {
+            return res.status(200).json({
+                message: "Two-factor authentication required",
+                twoFactorRequired: true,
+                challengeToken: generateChallengeToken(user),
+            });
+        }
+
+        await loginProtection.registerSuccess(user);
+        await completeLogin(req, res, user);
+    }
+);
+
+// Second login step for users with two-factor authentication
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor login with a TOTP or recovery code
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorChallenge'
+ *     responses:
+ *       200:
+ *         description: Login successful (same response as POST /auth/login)
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid challenge token or code
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed login attempts from this IP
+ */
+router.post(
+    "/2fa/verify",
+    loginProtection.limiter,
+    validate({ body: TwoFactorChallenge }),
+    verifyChallengeToken,
+    async (req, res) => {
+        const { code, recoveryCode } = req.body;
+
+        const user = await User.findById(req.challenge.id).select(
+            "+twoFactor.secret"
+        );
+        if (!user || !user.twoFactor.enabled || user.status !== "active") {
+            throw new UnauthorizedError("Invalid or expired challenge token", {
+                code: "INVALID_TOKEN",
+            });
+        }
+
+        await loginProtection.throttle(req, user);
+
+        if (user.isLocked()) {
+            await rejectLocked(req, res, user);
+        }
+
+        const verified = recoveryCode
+            ? await user.useRecoveryCode(recoveryCode)
+            : await user.verifyTwoFactorCode(code);
+        if (!verified) {
+            await registerLoginFailure(req, user, "wrong-2fa-code");
+            throw new UnauthorizedError("Invalid two-factor code", {
+                code: "INVALID_CREDENTIALS",
+            });
+        }
+
+        if (recoveryCode) {
+            await recordAudit(req, {
+                action: "auth.2fa.recovery-code-used",
+                actor: user,
+                target: { type: "user", id: user.id, label: user.email },
+            });
+        }
+
+        await loginProtection.registerSuccess(user);
+        await completeLogin(req, res, user);
+    }
+);
+
+// Refresh route - rotates the refresh token and issues a new access token
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: >
+ *       The refresh token is read from the `refreshToken` cookie or the
+ *       request body. Each refresh token can only be used once; reusing an
+ *       already rotated token revokes the whole session.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenBody'
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post(
+    "/refresh",
+    validate({ body: RefreshTokenBody }),
+    async (req, res) => {
+        const presented = getRefreshToken(req);
+        if (!presented) {
+            throw new UnauthorizedError("Refresh token required", {
+                code: "INVALID_TOKEN",
+            });
+        }
+
+        const refresh = await RefreshToken.rotate(presented);
+        if (!refresh) {
+            clearAuthCookies(res);
+            throw new UnauthorizedError("Invalid or expired refresh token", {
+                code: "INVALID_TOKEN",
+            });
+        }
+
+        // Re-read the user so the new access token reflects current data
+        const user = await User.findById(refresh.user);
+        if (!user || user.status !== "active") {
+            await Session.revoke({ _id: refresh.session }, "inactive");
+            clearAuthCookies(res);
+            throw new UnauthorizedError("Invalid or expired refresh token", {
+                code: "INVALID_TOKEN",
+            });
+        }
+
+        const token = generateToken(user, refresh.session);
+        setAuthCookies(res, token, refresh);
 
         res.status(200).json({
-            message: "Login successful",
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                permissions: user.permissions,
-            },
+            message: "Token refreshed successfully",
             token,
+            refreshToken: refresh.token,
         });
-    } catch (error) {
-        res.status(500).json({ message: error.message });
     }
-});
+);
 
-// Logout route
+// Logout route - revokes the session the refresh token belongs to
 /**
  * @swagger
  * /auth/logout:
  *   post:
- *     summary: Logout the current user
+ *     summary: Logout the current user and revoke the session
  *     tags: [Auth]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenBody'
  *     responses:
  *       200:
  *         description: Logout successful
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post("/logout", (req, res) => {
-    res.clearCookie("token");
-    res.status(200).json({ message: "Logout successful" });
-});
+router.post(
+    "/logout",
+    validate({ body: RefreshTokenBody }),
+    async (req, res) => {
+        const presented = getRefreshToken(req);
+        if (presented) {
+            const session = await RefreshToken.findSession(presented);
+            if (session) {
+                await Session.revoke({ _id: session }, "logout");
+            }
+        }
+
+        clearAuthCookies(res);
+        res.status(200).json({ message: "Logout successful" });
+    }
+);
+
+// Change password route for the logged-in user
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change the current user's password
+ *     description: >
+ *       Also available to users who must change their password before doing
+ *       anything else. All other sessions of the user are revoked.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePassword'
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Invalid request or new password violates the password policy
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.post(
+    "/change-password",
+    authenticate({ allowPasswordChange: true }),
+    validate({ body: ChangePassword }),
+    async (req, res) => {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user.id);
+        const isMatch = await user.comparePassword(currentPassword);
+        if (!isMatch) {
+            throw new UnauthorizedError("Current password is incorrect", {
+                code: "INVALID_CREDENTIALS",
+            });
+        }
+
+        user.password = newPassword;
+        user.mustChangePassword = false;
+        await user.save();
+
+        // Keep this session, sign out everywhere else
+        await Session.revokeUser(user._id, "password-change", req.user.sid);
+        invalidateUser(user._id);
+
+        await recordAudit(req, {
+            action: "auth.password-change",
+            target: { type: "user", id: user.id, label: user.email },
+        });
+
+        res.status(200).json({ message: "Password changed successfully" });
+    }
+);
+
+// Forgot password route - emails a single-use reset link
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: >
+ *       Always responds with success so the endpoint can't be used to find
+ *       out which emails have accounts.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPassword'
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         description: Too many requests
+ */
+router.post(
+    "/forgot-password",
+    forgotPasswordLimiter,
+    validate({ body: ForgotPassword }),
+    async (req, res) => {
+        const { email } = req.body;
+
+        const user = await User.findOne({ email, status: "active" });
+        if (user) {
+            const token = await OneTimeToken.issue(
+                user._id,
+                "password-reset",
+                PASSWORD_RESET_TOKEN_TTL_MINUTES
+            );
+            const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+
+            await sendMail({
+                to: user.email,
+                subject: "Reset your password",
+                text:
+                    `Use the link below to reset your password. It expires in ` +
+                    `${PASSWORD_RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n` +
+                    `${clientUrl}/reset-password?token=${token}\n\n` +
+                    `If you didn't request this, you can ignore this email.`,
+            });
+
+            await recordAudit(req, {
+                action: "auth.password-reset.request",
+                actor: null,
+                target: { type: "user", id: user.id, label: user.email },
+            });
+        }
+
+        res.status(200).json({
+            message:
+                "If an account exists for that email, a reset link has been sent",
+        });
+    }
+);
+
+// Reset password route - consumes a reset token
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Signs the user out of all sessions.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPassword'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: >
+ *           Invalid request, invalid or expired reset token, or password
+ *           violates the password policy
+ */
+router.post(
+    "/reset-password",
+    validate({ body: ResetPassword }),
+    async (req, res) => {
+        const { token, newPassword } = req.body;
+
+        const resetToken = await OneTimeToken.findValid(
+            token,
+            "password-reset"
+        );
+        const user = resetToken && (await User.findById(resetToken.user));
+        if (!user) {
+            throw new ValidationError("Invalid or expired reset token", {
+                code: "INVALID_TOKEN",
+            });
+        }
+
+        user.password = newPassword;
+        user.mustChangePassword = false;
+        user.failedLoginAttempts = 0;
+        user.lockedUntil = null;
+
+        // Check the policy first so a rejected password doesn't burn the token
+        await user.validate();
+
+        if (!(await OneTimeToken.consume(token, "password-reset"))) {
+            throw new ValidationError("Invalid or expired reset token", {
+                code: "INVALID_TOKEN",
+            });
+        }
+
+        await user.save();
+
+        await Session.revokeUser(user._id, "password-reset");
+        invalidateUser(user._id);
+
+        await recordAudit(req, {
+            action: "auth.password-reset",
+            actor: user,
+            target: { type: "user", id: user.id, label: user.email },
+        });
+
+        res.status(200).json({ message: "Password reset successfully" });
+    }
+);
+
+// Accept invite route - the invitee sets their own password
+/**
+ * @swagger
+ * /auth/accept-invite:
+ *   post:
+ *     summary: Accept a sub-admin invitation and set a password
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcceptInvite'
+ *     responses:
+ *       200:
+ *         description: Invitation accepted; the user can now log in
+ *       400:
+ *         description: >
+ *           Invalid request, invalid or expired invite token, missing name,
+ *           or password violates the password policy
+ */
+router.post(
+    "/accept-invite",
+    validate({ body: AcceptInvite }),
+    async (req, res) => {
+        const { token, password, name } = req.body;
+
+        const invite = await OneTimeToken.findValid(token, "invite");
+        const user =
+            invite &&
+            (await User.findOne({ _id: invite.user, status: "invited" }));
+        if (!user) {
+            throw new ValidationError("Invalid or expired invite token", {
+                code: "INVALID_TOKEN",
+            });
+        }
+
+        if (name) user.name = name;
+        user.password = password;
+        user.status = "active";
+
+        // Check the policy first so a rejected password doesn't burn the token
+        await user.validate();
+
+        if (!(await OneTimeToken.consume(token, "invite"))) {
+            throw new ValidationError("Invalid or expired invite token", {
+                code: "INVALID_TOKEN",
+            });
+        }
+
+        await user.save();
+        invalidateUser(user._id);
+
+        await recordAudit(req, {
+            action: "invite.accept",
+            actor: user,
+            target: { type: "user", id: user.id, label: user.email },
+        });
+
+        res.status(200).json({
+            message: "Invitation accepted successfully",
+        });
+    }
+);
 
 module.exports = router;
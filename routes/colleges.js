@@ -0,0 +1,355 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const College = require("../models/College");
+const User = require("../models/User");
+const { verifyToken, verifyTokenOrApiKey } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/rbac");
+const { validate } = require("../middleware/validate");
+const {
+    CreateCollege,
+    UpdateCollege,
+    CollegeParams,
+    CollegeListQuery,
+} = require("../schemas/colleges");
+const { recordAudit } = require("../utils/audit");
+const { clearUserCache } = require("../utils/userCache");
+const { grantingKeys } = require("../utils/permissionKeys");
+const { escapeRegex, parsePagination, parseSort } = require("../utils/query");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+
+// Either permission may be scoped to specific colleges
+// (see `User.permissionScopes`)
+const collegeId = (req) => req.params.id;
+
+// Services may read colleges with an API key
+const canList = [
+    verifyTokenOrApiKey,
+    checkPermission("colleges:read", { scoped: true }),
+];
+const canView = [
+    verifyTokenOrApiKey,
+    checkPermission("colleges:read", { resource: collegeId }),
+];
+// Creating a college needs the unscoped permission
+const canCreate = [verifyToken, checkPermission("colleges:write")];
+const canManage = [
+    verifyToken,
+    checkPermission("colleges:write", { resource: collegeId }),
+];
+
+// Fields recorded in the audit log
+const snapshotCollege = (college) => ({
+    name: college.name,
+    code: college.code,
+    location: college.location,
+    studentCount: college.studentCount,
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Colleges
+ *   description: >
+ *     College management. Reading requires `colleges:read`; changes
+ *     require `colleges:write`. Grants
+ *     scoped to specific colleges only cover those colleges, and creating
+ *     a college needs an unscoped grant.
+ */
+
+/**
+ * @swagger
+ * /features/colleges:
+ *   get:
+ *     summary: Search and page through colleges
+ *     tags: [Colleges]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CollegeListQuery.search'
+ *       - $ref: '#/components/parameters/CollegeListQuery.sort'
+ *       - $ref: '#/components/parameters/CollegeListQuery.page'
+ *       - $ref: '#/components/parameters/CollegeListQuery.limit'
+ *     responses:
+ *       200:
+ *         description: Page of colleges
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 colleges:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+    "/",
+    canList,
+    validate({ query: CollegeListQuery }),
+    async (req, res) => {
+        const { sort, error } = parseSort(
+            req.query.sort,
+            College.COLLEGE_SORT_FIELDS,
+            "name"
+        );
+        if (error) {
+            throw new ValidationError(error);
+        }
+
+        // Callers with scoped access only see their colleges
+        const filter = req.permissionScope
+            ? {
+                  _id: {
+                      $in: req.permissionScope.filter(mongoose.isValidObjectId),
+                  },
+              }
+            : {};
+        if (req.query.search) {
+            const pattern = new RegExp(escapeRegex(req.query.search), "i");
+            filter.$or = [
+                { name: pattern },
+                { code: pattern },
+                { location: pattern },
+            ];
+        }
+
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [colleges, total] = await Promise.all([
+            College.find(filter)
+                .sort({ ...sort, _id: 1 })
+                .skip(skip)
+                .limit(limit),
+            College.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            colleges,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/colleges/{id}:
+ *   get:
+ *     summary: Get a single college by ID
+ *     tags: [Colleges]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CollegeParams.id'
+ *     responses:
+ *       200:
+ *         description: College data
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: College not found
+ */
+router.get(
+    "/:id",
+    canView,
+    validate({ params: CollegeParams }),
+    async (req, res) => {
+        const college = await College.findById(req.params.id);
+        if (!college) {
+            throw new NotFoundError("College not found");
+        }
+
+        res.status(200).json({ college });
+    }
+);
+
+/**
+ * @swagger
+ * /features/colleges:
+ *   post:
+ *     summary: Create a college
+ *     tags: [Colleges]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateCollege'
+ *     responses:
+ *       201:
+ *         description: College created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       409:
+ *         description: Code already in use
+ */
+router.post(
+    "/",
+    canCreate,
+    validate({ body: CreateCollege }),
+    async (req, res) => {
+        const { name, code, location, studentCount } = req.body;
+
+        const college = new College({
+            name,
+            code,
+            location,
+            studentCount,
+            createdBy: req.user.id,
+        });
+        await college.save();
+
+        await recordAudit(req, {
+            action: "college.create",
+            target: { type: "college", id: college.id, label: college.code },
+            after: snapshotCollege(college),
+        });
+
+        res.status(201).json({
+            message: "College created successfully",
+            college,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/colleges/{id}:
+ *   put:
+ *     summary: Update a college
+ *     tags: [Colleges]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CollegeParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateCollege'
+ *     responses:
+ *       200:
+ *         description: College updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: College not found
+ *       409:
+ *         description: Code already in use
+ */
+router.put(
+    "/:id",
+    canManage,
+    validate({ params: CollegeParams, body: UpdateCollege }),
+    async (req, res) => {
+        const college = await College.findById(req.params.id);
+        if (!college) {
+            throw new NotFoundError("College not found");
+        }
+
+        const before = snapshotCollege(college);
+
+        for (const field of ["name", "code", "location", "studentCount"]) {
+            if (req.body[field] !== undefined) {
+                college[field] = req.body[field];
+            }
+        }
+        await college.save();
+
+        await recordAudit(req, {
+            action: "college.update",
+            target: { type: "college", id: college.id, label: college.code },
+            before,
+            after: snapshotCollege(college),
+        });
+
+        res.status(200).json({
+            message: "College updated successfully",
+            college,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/colleges/{id}:
+ *   delete:
+ *     summary: Delete a college
+ *     tags: [Colleges]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CollegeParams.id'
+ *     responses:
+ *       200:
+ *         description: College deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: College not found
+ */
+router.delete(
+    "/:id",
+    canManage,
+    validate({ params: CollegeParams }),
+    async (req, res) => {
+        const college = await College.findByIdAndDelete(req.params.id);
+        if (!college) {
+            throw new NotFoundError("College not found");
+        }
+
+        // Drop the college from every scoped grant
+        const scopeFields = [
+            ...grantingKeys("colleges:read"),
+            ...grantingKeys("colleges:write"),
+        ].map((key) => `permissionScopes.${key}`);
+        await User.updateMany(
+            { $or: scopeFields.map((field) => ({ [field]: college.id })) },
+            {
+                $pull: Object.fromEntries(
+                    scopeFields.map((field) => [field, college.id])
+                ),
+                $inc: { version: 1 },
+            }
+        );
+        clearUserCache();
+
+        await recordAudit(req, {
+            action: "college.delete",
+            target: { type: "college", id: college.id, label: college.code },
+            before: snapshotCollege(college),
+        });
+
+        res.status(200).json({ message: "College deleted successfully" });
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,754 @@
+const express = require("express");
+const router = express.Router();
+const Content = require("../models/Content");
+const ContentVersion = require("../models/ContentVersion");
+const { verifyToken } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/rbac");
+const { validate } = require("../middleware/validate");
+const {
+    CreateContent,
+    UpdateContent,
+    RollbackContent,
+    ContentParams,
+    ContentVersionParams,
+    ContentListQuery,
+    ContentVersionListQuery,
+    ContentDiffQuery,
+} = require("../schemas/content");
+const { recordAudit } = require("../utils/audit");
+const { diffLines } = require("../utils/textDiff");
+const {
+    escapeRegex,
+    parsePagination,
+    parseSort,
+    parseList,
+} = require("../utils/query");
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+
+// Editors draft content; publishers control what readers see
+const canView = [verifyToken, checkPermission("content:read")];
+const canEdit = [verifyToken, checkPermission("content:write")];
+const canPublish = [verifyToken, checkPermission("content:publish")];
+
+// Fields recorded in the audit log; the body is summarised by length
+const snapshotContent = (content) => ({
+    title: content.title,
+    bodyLength: content.body.length,
+    status: content.status,
+    version: content.version,
+    publishedVersion: content.publishedVersion,
+});
+
+const auditTarget = (content) => ({
+    type: "content",
+    id: content.id,
+    label: content.slug,
+});
+
+// Store the content's current title and body as its next version and save it.
+// The unique version index rejects a concurrent edit of the same version.
+const commitVersion = async (content, req, restoredFrom) => {
+    content.version += 1;
+    content.updatedBy = req.user.id;
+    await content.validate();
+
+    try {
+        await ContentVersion.create({
+            content: content._id,
+            version: content.version,
+            title: content.title,
+            body: content.body,
+            author: { id: req.user.id, email: req.user.email },
+            restoredFrom,
+        });
+    } catch (error) {
+        // Someone else committed this version number first
+        if (error.code === 11000) {
+            throw new ConflictError(
+                "Content was changed by someone else; reload and retry",
+                { code: "EDIT_CONFLICT" }
+            );
+        }
+        throw error;
+    }
+    await content.save();
+};
+
+// Load content by slug into `req.content`
+const loadContent = async (req, res, next) => {
+    const content = await Content.findOne({
+        slug: String(req.params.slug).toLowerCase(),
+    });
+    if (!content) {
+        throw new NotFoundError("Content not found");
+    }
+
+    req.content = content;
+    next();
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Content
+ *   description: >
+ *     Content drafts, version history and publishing. Viewing requires
+ *     `content:read`; drafting and rolling back require `content:write`;
+ *     publishing, unpublishing and archiving require `content:publish`.
+ */
+
+/**
+ * @swagger
+ * /features/content:
+ *   get:
+ *     summary: Search and page through content
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentListQuery.search'
+ *       - $ref: '#/components/parameters/ContentListQuery.status'
+ *       - $ref: '#/components/parameters/ContentListQuery.sort'
+ *       - $ref: '#/components/parameters/ContentListQuery.page'
+ *       - $ref: '#/components/parameters/ContentListQuery.limit'
+ *     responses:
+ *       200:
+ *         description: >
+ *           Page of content, without bodies. `version` ahead of
+ *           `publishedVersion` means there are unpublished edits.
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+    "/",
+    canView,
+    validate({ query: ContentListQuery }),
+    async (req, res) => {
+        const { sort, error } = parseSort(
+            req.query.sort,
+            Content.CONTENT_SORT_FIELDS,
+            "-updatedAt"
+        );
+        if (error) {
+            throw new ValidationError(error);
+        }
+
+        const filter = {};
+        if (req.query.search) {
+            const pattern = new RegExp(escapeRegex(req.query.search), "i");
+            filter.$or = [{ title: pattern }, { slug: pattern }];
+        }
+
+        const statuses = parseList(req.query.status);
+        const unknown = statuses.filter(
+            (status) => !Content.CONTENT_STATUSES.includes(status)
+        );
+        if (unknown.length) {
+            throw new ValidationError(`Unknown status: ${unknown.join(", ")}`);
+        }
+        if (statuses.length) {
+            filter.status = { $in: statuses };
+        }
+
+        const { page, limit, skip } = parsePagination(req.query);
+
+        const [content, total] = await Promise.all([
+            Content.find(filter)
+                .select("-body")
+                .sort({ ...sort, _id: 1 })
+                .skip(skip)
+                .limit(limit),
+            Content.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            content,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/content:
+ *   post:
+ *     summary: Create a draft (requires content:write)
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateContent'
+ *     responses:
+ *       201:
+ *         description: Draft created as version 1
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       409:
+ *         description: Slug already in use
+ */
+router.post(
+    "/",
+    canEdit,
+    validate({ body: CreateContent }),
+    async (req, res) => {
+        const { slug, title, body } = req.body;
+
+        const content = new Content({
+            slug,
+            title,
+            body,
+            createdBy: req.user.id,
+            updatedBy: req.user.id,
+        });
+        await content.save();
+
+        await ContentVersion.create({
+            content: content._id,
+            version: content.version,
+            title: content.title,
+            body: content.body,
+            author: { id: req.user.id, email: req.user.email },
+        });
+
+        await recordAudit(req, {
+            action: "content.create",
+            target: auditTarget(content),
+            after: snapshotContent(content),
+        });
+
+        res.status(201).json({
+            message: "Content created successfully",
+            content,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/content/{slug}:
+ *   get:
+ *     summary: Get the latest version of a content item
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentParams.slug'
+ *     responses:
+ *       200:
+ *         description: Content data
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Content not found
+ */
+router.get(
+    "/:slug",
+    canView,
+    validate({ params: ContentParams }),
+    loadContent,
+    (req, res) => {
+        res.status(200).json({ content: req.content });
+    }
+);
+
+/**
+ * @swagger
+ * /features/content/{slug}:
+ *   put:
+ *     summary: Edit content, creating a new version (requires content:write)
+ *     description: >
+ *       Published content stays published at its current version until the
+ *       new version is published. Archived content can't be edited.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentParams.slug'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateContent'
+ *     responses:
+ *       200:
+ *         description: Content updated successfully
+ *       400:
+ *         description: Invalid request or nothing changed
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Content not found
+ *       409:
+ *         description: Content is archived or was changed concurrently
+ */
+router.put(
+    "/:slug",
+    canEdit,
+    validate({ params: ContentParams, body: UpdateContent }),
+    loadContent,
+    async (req, res) => {
+        const { content } = req;
+        const { title, body } = req.body;
+
+        if (content.status === "archived") {
+            throw new ConflictError("Archived content can't be edited");
+        }
+
+        const before = snapshotContent(content);
+
+        if (title !== undefined) content.title = title;
+        if (body !== undefined) content.body = body;
+        if (!content.isModified("title") && !content.isModified("body")) {
+            throw new ValidationError("Nothing to change");
+        }
+
+        await commitVersion(content, req);
+
+        await recordAudit(req, {
+            action: "content.update",
+            target: auditTarget(content),
+            before,
+            after: snapshotContent(content),
+        });
+
+        res.status(200).json({
+            message: "Content updated successfully",
+            content,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/content/{slug}/publish:
+ *   post:
+ *     summary: Publish the latest version (requires content:publish)
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentParams.slug'
+ *     responses:
+ *       200:
+ *         description: Content published successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Content not found
+ *       409:
+ *         description: Latest version is already published
+ */
+router.post(
+    "/:slug/publish",
+    canPublish,
+    validate({ params: ContentParams }),
+    loadContent,
+    async (req, res) => {
+        const { content } = req;
+
+        if (
+            content.status === "published" &&
+            content.publishedVersion === content.version
+        ) {
+            throw new ConflictError("Latest version is already published");
+        }
+
+        const before = snapshotContent(content);
+
+        content.status = "published";
+        content.publishedVersion = content.version;
+        content.publishedAt = new Date();
+        content.publishedBy = req.user.id;
+        await content.save();
+
+        await recordAudit(req, {
+            action: "content.publish",
+            target: auditTarget(content),
+            before,
+            after: snapshotContent(content),
+        });
+
+        res.status(200).json({
+            message: "Content published successfully",
+            content,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/content/{slug}/unpublish:
+ *   post:
+ *     summary: Move published or archived content back to draft (requires content:publish)
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentParams.slug'
+ *     responses:
+ *       200:
+ *         description: Content unpublished successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Content not found
+ *       409:
+ *         description: Content is already a draft
+ */
+router.post(
+    "/:slug/unpublish",
+    canPublish,
+    validate({ params: ContentParams }),
+    loadContent,
+    async (req, res) => {
+        const { content } = req;
+
+        if (content.status === "draft") {
+            throw new ConflictError("Content is already a draft");
+        }
+
+        const before = snapshotContent(content);
+
+        content.status = "draft";
+        content.publishedVersion = null;
+        await content.save();
+
+        await recordAudit(req, {
+            action: "content.unpublish",
+            target: auditTarget(content),
+            before,
+            after: snapshotContent(content),
+        });
+
+        res.status(200).json({
+            message: "Content unpublished successfully",
+            content,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/content/{slug}/archive:
+ *   post:
+ *     summary: Archive content, taking it offline (requires content:publish)
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentParams.slug'
+ *     responses:
+ *       200:
+ *         description: Content archived successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Content not found
+ *       409:
+ *         description: Content is already archived
+ */
+router.post(
+    "/:slug/archive",
+    canPublish,
+    validate({ params: ContentParams }),
+    loadContent,
+    async (req, res) => {
+        const { content } = req;
+
+        if (content.status === "archived") {
+            throw new ConflictError("Content is already archived");
+        }
+
+        const before = snapshotContent(content);
+
+        content.status = "archived";
+        content.publishedVersion = null;
+        await content.save();
+
+        await recordAudit(req, {
+            action: "content.archive",
+            target: auditTarget(content),
+            before,
+            after: snapshotContent(content),
+        });
+
+        res.status(200).json({
+            message: "Content archived successfully",
+            content,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/content/{slug}/versions:
+ *   get:
+ *     summary: List a content item's versions, newest first
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentParams.slug'
+ *       - $ref: '#/components/parameters/ContentVersionListQuery.page'
+ *       - $ref: '#/components/parameters/ContentVersionListQuery.limit'
+ *     responses:
+ *       200:
+ *         description: Page of versions, without bodies
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Content not found
+ */
+router.get(
+    "/:slug/versions",
+    canView,
+    validate({ params: ContentParams, query: ContentVersionListQuery }),
+    loadContent,
+    async (req, res) => {
+        const { page, limit, skip } = parsePagination(req.query);
+        const filter = { content: req.content._id };
+
+        const [versions, total] = await Promise.all([
+            ContentVersion.find(filter)
+                .select("-body")
+                .sort({ version: -1 })
+                .skip(skip)
+                .limit(limit),
+            ContentVersion.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            versions,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/content/{slug}/versions/{version}:
+ *   get:
+ *     summary: Get a single version of a content item
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentVersionParams.slug'
+ *       - $ref: '#/components/parameters/ContentVersionParams.version'
+ *     responses:
+ *       200:
+ *         description: Version data
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Content or version not found
+ */
+router.get(
+    "/:slug/versions/:version",
+    canView,
+    validate({ params: ContentVersionParams }),
+    loadContent,
+    async (req, res) => {
+        const version = await ContentVersion.findOne({
+            content: req.content._id,
+            version: req.params.version,
+        });
+        if (!version) {
+            throw new NotFoundError("Version not found");
+        }
+
+        res.status(200).json({ version });
+    }
+);
+
+/**
+ * @swagger
+ * /features/content/{slug}/diff:
+ *   get:
+ *     summary: Compare two versions of a content item
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentParams.slug'
+ *       - $ref: '#/components/parameters/ContentDiffQuery.from'
+ *       - $ref: '#/components/parameters/ContentDiffQuery.to'
+ *     responses:
+ *       200:
+ *         description: Title change and line-by-line body diff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: integer
+ *                 to:
+ *                   type: integer
+ *                 title:
+ *                   type: object
+ *                   nullable: true
+ *                   description: "`{ from, to }` when the title changed"
+ *                 body:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [unchanged, added, removed]
+ *                       line:
+ *                         type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Content or version not found
+ */
+router.get(
+    "/:slug/diff",
+    canView,
+    validate({ params: ContentParams, query: ContentDiffQuery }),
+    loadContent,
+    async (req, res) => {
+        const to = req.query.to ?? req.content.version;
+        const from = req.query.from ?? to - 1;
+        if (!from) {
+            throw new ValidationError(
+                "Version 1 has no earlier version to compare"
+            );
+        }
+
+        const versions = await ContentVersion.find({
+            content: req.content._id,
+            version: { $in: [from, to] },
+        });
+        const older = versions.find((version) => version.version === from);
+        const newer = versions.find((version) => version.version === to);
+        if (!older || !newer) {
+            throw new NotFoundError("Version not found");
+        }
+
+        res.status(200).json({
+            from,
+            to,
+            title:
+                older.title === newer.title
+                    ? null
+                    : { from: older.title, to: newer.title },
+            body: diffLines(older.body, newer.body),
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /features/content/{slug}/rollback:
+ *   post:
+ *     summary: Restore an earlier version as a new version (requires content:write)
+ *     description: >
+ *       History is never rewritten; the restored title and body become the
+ *       latest version and, like any edit, must be published separately.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ContentParams.slug'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RollbackContent'
+ *     responses:
+ *       200:
+ *         description: Version restored successfully
+ *       400:
+ *         description: Invalid request or not an earlier version
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Content or version not found
+ *       409:
+ *         description: Content is archived or was changed concurrently
+ */
+router.post(
+    "/:slug/rollback",
+    canEdit,
+    validate({ params: ContentParams, body: RollbackContent }),
+    loadContent,
+    async (req, res) => {
+        const { content } = req;
+
+        const number = req.body.version;
+        if (number >= content.version) {
+            throw new ValidationError(
+                "'version' must be an earlier version number"
+            );
+        }
+        if (content.status === "archived") {
+            throw new ConflictError("Archived content can't be edited");
+        }
+
+        const version = await ContentVersion.findOne({
+            content: content._id,
+            version: number,
+        });
+        if (!version) {
+            throw new NotFoundError("Version not found");
+        }
+
+        const before = snapshotContent(content);
+
+        content.title = version.title;
+        content.body = version.body;
+        await commitVersion(content, req, number);
+
+        await recordAudit(req, {
+            action: "content.rollback",
+            target: auditTarget(content),
+            before,
+            after: snapshotContent(content),
+            metadata: { restoredFrom: number },
+        });
+
+        res.status(200).json({
+            message: `Version ${number} restored successfully`,
+            content,
+        });
+    }
+);
+
+module.exports = router;
@@ -1,9 +1,13 @@
 const express = require("express");
 const router = express.Router();
-const { verifyToken } = require("../middleware/auth");
+const { verifyToken, verifyTokenOrApiKey } = require("../middleware/auth");
 const { checkPermission } = require("../middleware/rbac");
+const { validate } = require("../middleware/validate");
+const { getDashboardStats } = require("../utils/dashboardStats");
+const { DashboardQuery, DatasetParams } = require("../schemas/features");
+const { ValidationError } = require("../utils/errors");
 
-// Dashboard route - requires dashboard permission
+// Dashboard route - requires dashboard:read
 /**
  * @swagger
  * tags:
@@ -15,124 +19,141 @@ const { checkPermission } = require("../middleware/rbac");
  * @swagger
  * /features/dashboard:
  *   get:
- *     summary: Access dashboard (requires dashboard permission)
+ *     summary: Access dashboard (requires dashboard:read)
+ *     description: >
+ *       Statistics are computed from live data and reused for up to a
+ *       minute (`DASHBOARD_CACHE_TTL_MS`); `generatedAt` shows their age.
  *     tags: [Features]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DashboardQuery.from'
+ *       - $ref: '#/components/parameters/DashboardQuery.to'
+ *       - $ref: '#/components/parameters/DashboardQuery.bucket'
  *     responses:
  *       200:
  *         description: Dashboard data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     range:
+ *                       type: object
+ *                     users:
+ *                       type: object
+ *                       description: >
+ *                         Totals by role and status, plus users created and
+ *                         distinct users who logged in within the range
+ *                     logins:
+ *                       type: object
+ *                       description: Successful and failed logins, per bucket
+ *                     activity:
+ *                       type: object
+ *                       description: >
+ *                         Administrative audit entries within the range and
+ *                         the 10 most recent
+ *                     content:
+ *                       type: object
+ *                     colleges:
+ *                       type: object
+ *                     generatedAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Invalid range or bucket
  *       403:
  *         description: Access denied
  */
 router.get(
     "/dashboard",
-    [verifyToken, checkPermission("dashboard")],
-    (req, res) => {
+    [verifyToken, checkPermission("dashboard:read")],
+    validate({ query: DashboardQuery }),
+    async (req, res) => {
+        const { stats, error } = await getDashboardStats(req.query);
+        if (error) {
+            throw new ValidationError(error);
+        }
+
         res.status(200).json({
             message: "Dashboard data retrieved successfully",
-            data: {
-                // Dashboard data here
-                stats: {
-                    users: 120,
-                    colleges: 45,
-                    activities: 890,
-                },
-            },
+            data: stats,
         });
     }
 );
 
-// College management route - requires collegeManagement permission
+// Data view route - requires data:read
 /**
  * @swagger
- * /features/colleges:
+ * /features/data:
  *   get:
- *     summary: Access college management section (requires collegeManagement permission)
+ *     summary: View specific data (requires data:read)
+ *     description: Also accepts an API key.
  *     tags: [Features]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
- *         description: College management data
+ *         description: Data retrieved successfully
  *       403:
  *         description: Access denied
  */
 router.get(
-    "/colleges",
-    [verifyToken, checkPermission("collegeManagement")],
+    "/data",
+    [verifyTokenOrApiKey, checkPermission("data:read")],
     (req, res) => {
         res.status(200).json({
-            message: "College data retrieved successfully",
+            message: "Data retrieved successfully",
             data: {
-                // College data here
-                colleges: [
-                    { id: 1, name: "Example College", students: 1200 },
-                    { id: 2, name: "Sample University", students: 3500 },
-                ],
+                // Some sensitive data
             },
         });
     }
 );
 
-// Content editing route - requires contentEditing permission
+// Single dataset route - requires data:read, globally or for this dataset
 /**
  * @swagger
- * /features/content:
- *   post:
- *     summary: Edit content (requires contentEditing permission)
+ * /features/data/{dataset}:
+ *   get:
+ *     summary: View one dataset (requires data:read, possibly scoped to the dataset)
+ *     description: Also accepts an API key.
  *     tags: [Features]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               content:
- *                 type: string
- *                 example: Some updated content here.
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DatasetParams.dataset'
  *     responses:
  *       200:
- *         description: Content updated successfully
+ *         description: Data retrieved successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       403:
  *         description: Access denied
  */
-router.post(
-    "/content",
-    [verifyToken, checkPermission("contentEditing")],
+router.get(
+    "/data/:dataset",
+    [
+        verifyTokenOrApiKey,
+        checkPermission("data:read", { resource: (req) => req.params.dataset }),
+    ],
+    validate({ params: DatasetParams }),
     (req, res) => {
-        // Logic to save content
         res.status(200).json({
-            message: "Content updated successfully",
+            message: "Data retrieved successfully",
+            dataset: req.params.dataset,
+            data: {
+                // Dataset contents
+            },
         });
     }
 );
 
-// Data view route - requires viewData permission
-/**
- * @swagger
- * /features/data:
- *   get:
- *     summary: View specific data (requires viewData permission)
- *     tags: [Features]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Data retrieved successfully
- *       403:
- *         description: Access denied
- */
-router.get("/data", [verifyToken, checkPermission("viewData")], (req, res) => {
-    res.status(200).json({
-        message: "Data retrieved successfully",
-        data: {
-            // Some sensitive data
-        },
-    });
-});
-
 module.exports = router;
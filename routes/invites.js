@@ -0,0 +1,261 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const OneTimeToken = require("../models/OneTimeToken");
+const { adminOnly } = require("../middleware/rbac");
+const { validate } = require("../middleware/validate");
+const { InviteSubAdmin, InviteParams } = require("../schemas/admin");
+const { recordAudit } = require("../utils/audit");
+const { resolveAccess } = require("../utils/permissions");
+const { sendInvite } = require("../utils/invites");
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invites
+ *   description: Sub-admin invitation endpoints
+ */
+
+/**
+ * @swagger
+ * /admin/invites:
+ *   post:
+ *     summary: Invite a new sub-admin by email
+ *     description: >
+ *       Creates the sub-admin without a password and emails a single-use
+ *       link. The invitee sets their own password at POST /auth/accept-invite.
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InviteSubAdmin'
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Invalid request, unknown role or unknown permission
+ *       409:
+ *         description: Email already in use
+ */
+router.post(
+    "/",
+    adminOnly,
+    validate({ body: InviteSubAdmin }),
+    async (req, res) => {
+        const { name, roles, permissions, permissionScopes } = req.body;
+        const email = req.body.email.trim().toLowerCase();
+
+        const userExists = await User.exists({ email });
+        if (userExists) {
+            throw new ConflictError("Email already in use", {
+                code: "DUPLICATE_KEY",
+            });
+        }
+
+        const access = await resolveAccess({
+            roles,
+            permissions,
+            permissionScopes,
+        });
+        if (access.error) {
+            throw new ValidationError(access.error);
+        }
+
+        const subAdmin = new User({
+            name,
+            email,
+            role: "sub-admin",
+            status: "invited",
+            invitedBy: req.user.id,
+            roles: access.roles || [],
+            permissions: access.permissions || {},
+            permissionScopes: access.permissionScopes || {},
+        });
+        await subAdmin.save();
+
+        await sendInvite(subAdmin, req.user);
+
+        await recordAudit(req, {
+            action: "invite.create",
+            target: { type: "user", id: subAdmin.id, label: subAdmin.email },
+        });
+
+        res.status(201).json({
+            message: "Invitation sent successfully",
+            invite: {
+                id: subAdmin._id,
+                name: subAdmin.name,
+                email: subAdmin.email,
+            },
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/invites:
+ *   get:
+ *     summary: List pending invitations
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations with their expiry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invites:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       invitedBy:
+ *                         type: object
+ *                       invitedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expired:
+ *                         type: boolean
+ */
+router.get("/", adminOnly, async (req, res) => {
+    const users = await User.find({ status: "invited" })
+        .populate("invitedBy", "name email")
+        .sort({ createdAt: -1 });
+
+    const tokens = await OneTimeToken.find({
+        user: { $in: users.map((user) => user._id) },
+        purpose: "invite",
+        usedAt: null,
+    });
+    const expiryByUser = new Map(
+        tokens.map((token) => [String(token.user), token.expiresAt])
+    );
+
+    const now = new Date();
+    const invites = users.map((user) => {
+        const expiresAt = expiryByUser.get(String(user._id)) || null;
+        return {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            invitedBy: user.invitedBy,
+            invitedAt: user.createdAt,
+            expiresAt,
+            expired: !expiresAt || expiresAt <= now,
+        };
+    });
+
+    res.status(200).json({ invites });
+});
+
+/**
+ * @swagger
+ * /admin/invites/{id}/resend:
+ *   post:
+ *     summary: Resend an invitation with a new link
+ *     description: Any previously sent link stops working.
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/InviteParams.id'
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Pending invitation not found
+ */
+router.post(
+    "/:id/resend",
+    adminOnly,
+    validate({ params: InviteParams }),
+    async (req, res) => {
+        const subAdmin = await User.findOne({
+            _id: req.params.id,
+            status: "invited",
+        });
+        if (!subAdmin) {
+            throw new NotFoundError("Invitation not found");
+        }
+
+        await sendInvite(subAdmin, req.user);
+
+        await recordAudit(req, {
+            action: "invite.resend",
+            target: { type: "user", id: subAdmin.id, label: subAdmin.email },
+        });
+
+        res.status(200).json({ message: "Invitation resent successfully" });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/invites/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     description: Removes the invited sub-admin and invalidates the link.
+ *     tags: [Invites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/InviteParams.id'
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Pending invitation not found
+ */
+router.delete(
+    "/:id",
+    adminOnly,
+    validate({ params: InviteParams }),
+    async (req, res) => {
+        const subAdmin = await User.findOneAndDelete({
+            _id: req.params.id,
+            status: "invited",
+        });
+        if (!subAdmin) {
+            throw new NotFoundError("Invitation not found");
+        }
+
+        await OneTimeToken.deleteMany({
+            user: subAdmin._id,
+            purpose: "invite",
+        });
+
+        await recordAudit(req, {
+            action: "invite.revoke",
+            target: { type: "user", id: subAdmin.id, label: subAdmin.email },
+        });
+
+        res.status(200).json({ message: "Invitation revoked successfully" });
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require("express");
+const router = express.Router();
+const Permission = require("../models/Permission");
+const Role = require("../models/Role");
+const User = require("../models/User");
+const { adminOnly } = require("../middleware/rbac");
+const { validate } = require("../middleware/validate");
+const {
+    CreatePermission,
+    UpdatePermission,
+    PermissionParams,
+} = require("../schemas/roles");
+const { clearUserCache } = require("../utils/userCache");
+const { recordAudit } = require("../utils/audit");
+const { NotFoundError, ConflictError } = require("../utils/errors");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Permissions
+ *   description: Permission catalog endpoints
+ */
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     summary: List the permission catalog
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+router.get("/", adminOnly, async (req, res) => {
+    const permissions = await Permission.find().sort({ key: 1 });
+    res.status(200).json({ permissions });
+});
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   post:
+ *     summary: Add a permission to the catalog
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreatePermission'
+ *     responses:
+ *       201:
+ *         description: Permission created successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Permission already exists
+ */
+router.post(
+    "/",
+    adminOnly,
+    validate({ body: CreatePermission }),
+    async (req, res) => {
+        const { key, description } = req.body;
+
+        const permissionExists = await Permission.exists({ key });
+        if (permissionExists) {
+            throw new ConflictError("Permission already exists", {
+                code: "DUPLICATE_KEY",
+            });
+        }
+
+        const permission = new Permission({ key, description });
+        await permission.save();
+
+        await recordAudit(req, {
+            action: "permission.create",
+            target: { type: "permission", id: permission.key },
+            after: { description: permission.description },
+        });
+
+        res.status(201).json({
+            message: "Permission created successfully",
+            permission,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/permissions/{key}:
+ *   put:
+ *     summary: Update a permission's description
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PermissionParams.key'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdatePermission'
+ *     responses:
+ *       200:
+ *         description: Permission updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Permission not found
+ */
+router.put(
+    "/:key",
+    adminOnly,
+    validate({ params: PermissionParams, body: UpdatePermission }),
+    async (req, res) => {
+        const permission = await Permission.findOneAndUpdate(
+            { key: req.params.key },
+            { $set: { description: req.body.description } },
+            { new: true, runValidators: true }
+        );
+
+        if (!permission) {
+            throw new NotFoundError("Permission not found");
+        }
+
+        await recordAudit(req, {
+            action: "permission.update",
+            target: { type: "permission", id: permission.key },
+            after: { description: permission.description },
+        });
+
+        res.status(200).json({
+            message: "Permission updated successfully",
+            permission,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/permissions/{key}:
+ *   delete:
+ *     summary: Remove a permission from the catalog, all roles and all users
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PermissionParams.key'
+ *     responses:
+ *       200:
+ *         description: Permission deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Permission not found
+ */
+router.delete(
+    "/:key",
+    adminOnly,
+    validate({ params: PermissionParams }),
+    async (req, res) => {
+        const { key } = req.params;
+
+        const permission = await Permission.findOneAndDelete({ key });
+        if (!permission) {
+            throw new NotFoundError("Permission not found");
+        }
+
+        await Role.updateMany(
+            { permissions: key },
+            { $pull: { permissions: key } }
+        );
+        await User.updateMany(
+            { [`permissions.${key}`]: { $exists: true } },
+            { $unset: { [`permissions.${key}`]: "" }, $inc: { version: 1 } }
+        );
+        clearUserCache();
+
+        await recordAudit(req, {
+            action: "permission.delete",
+            target: { type: "permission", id: key },
+            before: { description: permission.description },
+        });
+
+        res.status(200).json({ message: "Permission deleted successfully" });
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,377 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const OneTimeToken = require("../models/OneTimeToken");
+const { authenticate, verifyToken } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const {
+    UpdateProfile,
+    ChangeEmail,
+    VerifyEmailChange,
+} = require("../schemas/auth");
+const { sendMail } = require("../utils/mailer");
+const { invalidateUser } = require("../utils/userCache");
+const { resolvePermissions, resolveScopes } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const {
+    ValidationError,
+    UnauthorizedError,
+    ConflictError,
+} = require("../utils/errors");
+
+const EMAIL_CHANGE_TOKEN_TTL_MINUTES =
+    Number(process.env.EMAIL_CHANGE_TOKEN_TTL_MINUTES) || 60;
+
+// Load the user's profile and effective permissions from the database rather
+// than the auth cache, so it reflects changes made on other instances
+const loadProfile = async (id) => {
+    const [user, emailChange] = await Promise.all([
+        User.findById(id)
+            .select(
+                "name email role status roles permissions permissionScopes mustChangePassword twoFactor.enabled passwordChangedAt createdAt"
+            )
+            .populate("roles", "name permissions requireTwoFactor")
+            .lean(),
+        OneTimeToken.findOne({
+            user: id,
+            purpose: "email-change",
+            usedAt: null,
+            expiresAt: { $gt: new Date() },
+        })
+            .select("email")
+            .lean(),
+    ]);
+
+    // Lean reads skip defaults; users from before roles have no `roles`
+    const roles = user.roles || [];
+    const permissions = await resolvePermissions(user);
+    return {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        pendingEmail: emailChange?.email ?? null,
+        role: user.role,
+        status: user.status,
+        roles: roles.map((role) => role.name),
+        permissions,
+        permissionScopes: resolveScopes(user, permissions),
+        mustChangePassword: user.mustChangePassword,
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        twoFactorRequired: roles.some((role) => role.requireTwoFactor),
+        passwordChangedAt: user.passwordChangedAt,
+        createdAt: user.createdAt,
+    };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Profile:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         pendingEmail:
+ *           type: string
+ *           nullable: true
+ *           description: New address awaiting confirmation
+ *         role:
+ *           type: string
+ *           enum: [admin, sub-admin]
+ *         status:
+ *           type: string
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *         permissions:
+ *           type: object
+ *           description: >
+ *             Effective permissions from roles and direct grants, with legacy
+ *             keys expanded
+ *           additionalProperties:
+ *             type: boolean
+ *           example: { "dashboard:read": true, "data:read": true }
+ *         permissionScopes:
+ *           type: object
+ *           description: >
+ *             Resource IDs per permission held only for specific resources
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: string
+ *         mustChangePassword:
+ *           type: boolean
+ *         twoFactorEnabled:
+ *           type: boolean
+ *         twoFactorRequired:
+ *           type: boolean
+ *         passwordChangedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Current user's profile
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get the current user's profile and effective permissions
+ *     description: >
+ *       Also available to users who must change their password or set up
+ *       two-factor authentication, so clients can tell what to ask for.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/Profile'
+ *       401:
+ *         description: Not logged in
+ */
+router.get(
+    "/",
+    authenticate({ allowPasswordChange: true, allowTwoFactorSetup: true }),
+    async (req, res) => {
+        res.status(200).json({ user: await loadProfile(req.user.id) });
+    }
+);
+
+// Update the current user's own details
+/**
+ * @swagger
+ * /auth/me:
+ *   patch:
+ *     summary: Update the current user's profile
+ *     description: >
+ *       Only the name can be changed here. Email changes go through
+ *       POST /auth/me/email; roles and permissions are managed by admins.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateProfile'
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/Profile'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch(
+    "/",
+    verifyToken,
+    validate({ body: UpdateProfile }),
+    async (req, res) => {
+        const { name } = req.body;
+
+        const existing = await User.findOneAndUpdate(
+            { _id: req.user.id },
+            { $set: { name }, $inc: { version: 1 } },
+            { new: false, runValidators: true }
+        ).lean();
+        invalidateUser(req.user.id);
+
+        await recordAudit(req, {
+            action: "auth.profile.update",
+            target: { type: "user", id: req.user.id, label: req.user.email },
+            before: { name: existing.name },
+            after: { name },
+        });
+
+        res.status(200).json({
+            message: "Profile updated successfully",
+            user: await loadProfile(req.user.id),
+        });
+    }
+);
+
+// Start an email change - the new address must be confirmed
+/**
+ * @swagger
+ * /auth/me/email:
+ *   post:
+ *     summary: Request a change of the current user's email
+ *     description: >
+ *       Emails a single-use confirmation link to the new address. The email
+ *       only changes once it is confirmed through POST /auth/me/email/verify.
+ *       A new request replaces any pending one.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangeEmail'
+ *     responses:
+ *       200:
+ *         description: Confirmation email sent to the new address
+ *       400:
+ *         description: Invalid request or the address is already the current one
+ *       401:
+ *         description: Current password is incorrect
+ *       409:
+ *         description: Email already in use
+ */
+router.post(
+    "/email",
+    verifyToken,
+    validate({ body: ChangeEmail }),
+    async (req, res) => {
+        const email = req.body.email.trim().toLowerCase();
+
+        const user = await User.findById(req.user.id);
+        if (!(await user.comparePassword(req.body.currentPassword))) {
+            throw new UnauthorizedError("Current password is incorrect", {
+                code: "INVALID_CREDENTIALS",
+            });
+        }
+        if (email === user.email) {
+            throw new ValidationError("That is already your email");
+        }
+        if (await User.exists({ email })) {
+            throw new ConflictError("Email already in use", {
+                code: "DUPLICATE_KEY",
+            });
+        }
+
+        const token = await OneTimeToken.issue(
+            user._id,
+            "email-change",
+            EMAIL_CHANGE_TOKEN_TTL_MINUTES,
+            { email }
+        );
+        const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+
+        await sendMail({
+            to: email,
+            subject: "Confirm your new email address",
+            text:
+                `Use the link below to make this your account's email address. It expires in ` +
+                `${EMAIL_CHANGE_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n` +
+                `${clientUrl}/verify-email?token=${token}\n\n` +
+                `If you didn't request this, you can ignore this email.`,
+        });
+
+        await recordAudit(req, {
+            action: "auth.email-change.request",
+            target: { type: "user", id: user.id, label: user.email },
+            metadata: { email },
+        });
+
+        res.status(200).json({
+            message: "A confirmation link has been sent to the new address",
+            pendingEmail: email,
+        });
+    }
+);
+
+// Confirm an email change - consumes the emailed token
+/**
+ * @swagger
+ * /auth/me/email/verify:
+ *   post:
+ *     summary: Confirm a new email address
+ *     description: >
+ *       Doesn't require being logged in, so the link works on any device.
+ *       The previous address is notified of the change.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailChange'
+ *     responses:
+ *       200:
+ *         description: Email changed successfully
+ *       400:
+ *         description: Invalid request or invalid or expired token
+ *       409:
+ *         description: Email was taken by another account in the meantime
+ */
+router.post(
+    "/email/verify",
+    validate({ body: VerifyEmailChange }),
+    async (req, res) => {
+        const { token } = req.body;
+
+        const emailChange = await OneTimeToken.findValid(token, "email-change");
+        const user =
+            emailChange &&
+            (await User.findOne({ _id: emailChange.user, status: "active" }));
+        if (!user) {
+            throw new ValidationError("Invalid or expired token", {
+                code: "INVALID_TOKEN",
+            });
+        }
+        if (await User.exists({ email: emailChange.email })) {
+            throw new ConflictError("Email already in use", {
+                code: "DUPLICATE_KEY",
+            });
+        }
+
+        if (!(await OneTimeToken.consume(token, "email-change"))) {
+            throw new ValidationError("Invalid or expired token", {
+                code: "INVALID_TOKEN",
+            });
+        }
+
+        // The unique index still rejects an address taken since the check
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { email: emailChange.email }, $inc: { version: 1 } }
+        );
+        invalidateUser(user._id);
+
+        await sendMail({
+            to: user.email,
+            subject: "Your email address was changed",
+            text:
+                `Your account's email address was changed to ${emailChange.email}.\n\n` +
+                `If you didn't make this change, contact an administrator.`,
+        });
+
+        await recordAudit(req, {
+            action: "auth.email-change",
+            actor: user,
+            target: { type: "user", id: user.id, label: emailChange.email },
+            before: { email: user.email },
+            after: { email: emailChange.email },
+        });
+
+        res.status(200).json({ message: "Email changed successfully" });
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,273 @@
+const express = require("express");
+const router = express.Router();
+const Role = require("../models/Role");
+const User = require("../models/User");
+const Permission = require("../models/Permission");
+const { adminOnly } = require("../middleware/rbac");
+const { validate } = require("../middleware/validate");
+const { CreateRole, UpdateRole, RoleParams } = require("../schemas/roles");
+const { clearUserCache } = require("../utils/userCache");
+const { recordAudit } = require("../utils/audit");
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+
+// Fields of a role worth tracking in the audit trail
+const snapshotRole = (role) => ({
+    name: role.name,
+    description: role.description,
+    permissions: [...role.permissions],
+    requireTwoFactor: role.requireTwoFactor,
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Role management endpoints
+ */
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   get:
+ *     summary: List all roles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+router.get("/", adminOnly, async (req, res) => {
+    const roles = await Role.find().sort({ name: 1 });
+    res.status(200).json({ roles });
+});
+
+/**
+ * @swagger
+ * /admin/roles/{id}:
+ *   get:
+ *     summary: Get a single role by ID
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RoleParams.id'
+ *     responses:
+ *       200:
+ *         description: Role data
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Role not found
+ */
+router.get(
+    "/:id",
+    adminOnly,
+    validate({ params: RoleParams }),
+    async (req, res) => {
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            throw new NotFoundError("Role not found");
+        }
+
+        const userCount = await User.countDocuments({ roles: role._id });
+
+        res.status(200).json({ role, userCount });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   post:
+ *     summary: Create a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateRole'
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Invalid request or unknown permission
+ *       409:
+ *         description: Role name already in use
+ */
+router.post(
+    "/",
+    adminOnly,
+    validate({ body: CreateRole }),
+    async (req, res) => {
+        const {
+            name,
+            description,
+            permissions = [],
+            requireTwoFactor,
+        } = req.body;
+
+        const unknown = await Permission.findUnknown(permissions);
+        if (unknown.length) {
+            throw new ValidationError(
+                `Unknown permissions: ${unknown.join(", ")}`
+            );
+        }
+
+        const roleExists = await Role.exists({
+            name: String(name).toLowerCase(),
+        });
+        if (roleExists) {
+            throw new ConflictError("Role name already in use", {
+                code: "DUPLICATE_KEY",
+            });
+        }
+
+        const role = new Role({
+            name,
+            description,
+            permissions,
+            requireTwoFactor,
+        });
+        await role.save();
+
+        await recordAudit(req, {
+            action: "role.create",
+            target: { type: "role", id: role.id, label: role.name },
+            after: snapshotRole(role),
+        });
+
+        res.status(201).json({ message: "Role created successfully", role });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/roles/{id}:
+ *   put:
+ *     summary: Update a role's details or permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RoleParams.id'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateRole'
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Invalid request or unknown permission
+ *       404:
+ *         description: Role not found
+ */
+router.put(
+    "/:id",
+    adminOnly,
+    validate({ params: RoleParams, body: UpdateRole }),
+    async (req, res) => {
+        const { name, description, permissions, requireTwoFactor } = req.body;
+
+        if (permissions) {
+            const unknown = await Permission.findUnknown(permissions);
+            if (unknown.length) {
+                throw new ValidationError(
+                    `Unknown permissions: ${unknown.join(", ")}`
+                );
+            }
+        }
+
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            throw new NotFoundError("Role not found");
+        }
+
+        const before = snapshotRole(role);
+
+        if (name !== undefined) role.name = name;
+        if (description !== undefined) role.description = description;
+        if (permissions !== undefined) role.permissions = permissions;
+        if (requireTwoFactor !== undefined) {
+            role.requireTwoFactor = requireTwoFactor;
+        }
+        await role.save();
+
+        // Everyone holding this role may have gained or lost permissions
+        clearUserCache();
+
+        await recordAudit(req, {
+            action: "role.update",
+            target: { type: "role", id: role.id, label: role.name },
+            before,
+            after: snapshotRole(role),
+        });
+
+        res.status(200).json({ message: "Role updated successfully", role });
+    }
+);
+
+/**
+ * @swagger
+ * /admin/roles/{id}:
+ *   delete:
+ *     summary: Delete a role and remove it from all users
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RoleParams.id'
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Role not found
+ */
+router.delete(
+    "/:id",
+    adminOnly,
+    validate({ params: RoleParams }),
+    async (req, res) => {
+        const role = await Role.findByIdAndDelete(req.params.id);
+        if (!role) {
+            throw new NotFoundError("Role not found");
+        }
+
+        await User.updateMany(
+            { roles: role._id },
+            { $pull: { roles: role._id }, $inc: { version: 1 } }
+        );
+        clearUserCache();
+
+        await recordAudit(req, {
+            action: "role.delete",
+            target: { type: "role", id: role.id, label: role.name },
+            before: snapshotRole(role),
+        });
+
+        res.status(200).json({ message: "Role deleted successfully" });
+    }
+);
+
+module.exports = router;
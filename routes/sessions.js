@@ -0,0 +1,144 @@
+const express = require("express");
+const router = express.Router();
+const Session = require("../models/Session");
+const { verifyToken } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { SessionParams } = require("../schemas/auth");
+const { recordAudit } = require("../utils/audit");
+const { NotFoundError } = require("../utils/errors");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         device:
+ *           type: string
+ *           example: Chrome on Windows
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: Updated at most once a minute
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ */
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ */
+router.get("/", verifyToken, async (req, res) => {
+    const sessions = await Session.listActive(req.user.id);
+
+    res.status(200).json({
+        sessions: sessions.map((session) => session.summarize(req.user.sid)),
+    });
+});
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   delete:
+ *     summary: Sign out every session except the current one
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.delete("/", verifyToken, async (req, res) => {
+    const { modifiedCount } = await Session.revokeUser(
+        req.user.id,
+        "user",
+        req.user.sid
+    );
+
+    await recordAudit(req, {
+        action: "auth.session.revoke-others",
+        target: { type: "user", id: req.user.id, label: req.user.email },
+        metadata: { revoked: modifiedCount },
+    });
+
+    res.status(200).json({
+        message: "Other sessions revoked successfully",
+        revoked: modifiedCount,
+    });
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of the current user's sessions
+ *     description: >
+ *       Revoking the current session signs the caller out; their tokens
+ *       stop working immediately.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/SessionParams.id'
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Session not found or already revoked
+ */
+router.delete(
+    "/:id",
+    verifyToken,
+    validate({ params: SessionParams }),
+    async (req, res) => {
+        const { modifiedCount } = await Session.revoke(
+            { _id: req.params.id, user: req.user.id },
+            "user"
+        );
+        if (!modifiedCount) {
+            throw new NotFoundError("Session not found");
+        }
+
+        await recordAudit(req, {
+            action: "auth.session.revoke",
+            target: { type: "session", id: req.params.id },
+        });
+
+        res.status(200).json({ message: "Session revoked successfully" });
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,295 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const User = require("../models/User");
+const { authenticate, verifyToken } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { TwoFactorCode, DisableTwoFactor } = require("../schemas/auth");
+const { invalidateUser } = require("../utils/userCache");
+const { recordAudit } = require("../utils/audit");
+const { hashToken } = require("../utils/tokens");
+const {
+    generateSecret,
+    verifyCode,
+    buildOtpauthUri,
+} = require("../utils/totp");
+const {
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+} = require("../utils/errors");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Admin Management System";
+const RECOVERY_CODE_COUNT = 10;
+
+// Enrollment must stay reachable for users whose role requires 2FA
+const verifyForSetup = authenticate({ allowTwoFactorSetup: true });
+
+// Generate recovery codes, returning them in plain text once and hashed for storage
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+        crypto
+            .randomBytes(5)
+            .toString("hex")
+            .replace(/(.{5})/, "$1-")
+    );
+
+    return { codes, hashes: codes.map((code) => hashToken(code)) };
+};
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: >
+ *       Generates a new secret. Add it to an authenticator app (the
+ *       `otpauthUri` is usually shown as a QR code), then confirm with
+ *       POST /auth/2fa/enable.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUri:
+ *                   type: string
+ *       400:
+ *         description: Two-factor authentication already enabled
+ */
+router.post("/setup", verifyForSetup, async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (user.twoFactor.enabled) {
+        throw new ValidationError(
+            "Two-factor authentication is already enabled"
+        );
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+        secret,
+        otpauthUri: buildOtpauthUri({
+            secret,
+            account: user.email,
+            issuer: TOTP_ISSUER,
+        }),
+    });
+});
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: >
+ *           Two-factor authentication enabled. The recovery codes are only
+ *           shown once.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid request, no enrollment in progress or invalid code
+ */
+router.post(
+    "/enable",
+    verifyForSetup,
+    validate({ body: TwoFactorCode }),
+    async (req, res) => {
+        const user = await User.findById(req.user.id).select(
+            "+twoFactor.pendingSecret"
+        );
+
+        if (!user.twoFactor.pendingSecret) {
+            throw new ValidationError(
+                "Start enrollment with POST /auth/2fa/setup first"
+            );
+        }
+
+        const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) {
+            throw new ValidationError("Invalid two-factor code");
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor = {
+            enabled: true,
+            secret: user.twoFactor.pendingSecret,
+            pendingSecret: undefined,
+            recoveryCodes: hashes,
+            lastUsedStep: step,
+            enabledAt: new Date(),
+        };
+        await user.save();
+        invalidateUser(user._id);
+
+        await recordAudit(req, {
+            action: "auth.2fa.enable",
+            target: { type: "user", id: user.id, label: user.email },
+        });
+
+        res.status(200).json({
+            message: "Two-factor authentication enabled",
+            recoveryCodes: codes,
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Not allowed when one of the user's roles requires it.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DisableTwoFactor'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid request or two-factor authentication not enabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Required by one of the user's roles
+ */
+router.post(
+    "/disable",
+    verifyToken,
+    validate({ body: DisableTwoFactor }),
+    async (req, res) => {
+        const { password, code } = req.body;
+
+        const user = await User.findById(req.user.id).select(
+            "+twoFactor.secret"
+        );
+        if (!user.twoFactor.enabled) {
+            throw new ValidationError(
+                "Two-factor authentication is not enabled"
+            );
+        }
+
+        if (req.user.twoFactorRequired) {
+            throw new ForbiddenError(
+                "Two-factor authentication is required by your role"
+            );
+        }
+
+        const valid =
+            (await user.comparePassword(password)) &&
+            (await user.verifyTwoFactorCode(code));
+        if (!valid) {
+            throw new UnauthorizedError("Invalid password or two-factor code", {
+                code: "INVALID_CREDENTIALS",
+            });
+        }
+
+        user.twoFactor = { enabled: false };
+        await user.save();
+        invalidateUser(user._id);
+
+        await recordAudit(req, {
+            action: "auth.2fa.disable",
+            target: { type: "user", id: user.id, label: user.email },
+        });
+
+        res.status(200).json({
+            message: "Two-factor authentication disabled",
+        });
+    }
+);
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes with a new set
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: New recovery codes, only shown once
+ *       400:
+ *         description: Invalid request or two-factor authentication not enabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post(
+    "/recovery-codes",
+    verifyToken,
+    validate({ body: TwoFactorCode }),
+    async (req, res) => {
+        const user = await User.findById(req.user.id).select(
+            "+twoFactor.secret"
+        );
+        if (!user.twoFactor.enabled) {
+            throw new ValidationError(
+                "Two-factor authentication is not enabled"
+            );
+        }
+
+        if (!(await user.verifyTwoFactorCode(req.body.code))) {
+            throw new UnauthorizedError("Invalid two-factor code", {
+                code: "INVALID_CREDENTIALS",
+            });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { "twoFactor.recoveryCodes": hashes } }
+        );
+
+        await recordAudit(req, {
+            action: "auth.2fa.recovery-codes-regenerate",
+            target: { type: "user", id: user.id, label: user.email },
+        });
+
+        res.status(200).json({
+            message: "Recovery codes regenerated",
+            recoveryCodes: codes,
+        });
+    }
+);
+
+module.exports = router;
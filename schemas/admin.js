@@ -0,0 +1,435 @@
+const {
+    objectId,
+    name,
+    email,
+    password,
+    roles,
+    permissions,
+    permissionScopes,
+} = require("./common");
+const {
+    SUB_ADMIN_STATUSES,
+    SUB_ADMIN_SORT_FIELDS,
+    BULK_LIMIT,
+} = require("../utils/subAdminQuery");
+const { SUB_ADMIN_TRANSITIONS } = require("../utils/subAdminStatus");
+
+// Request schemas for the sub-admin and admin management routes:
+// routes/admin.js, admins.js, apiKeys.js, bulkSubAdmins.js and invites.js
+
+const CreateSubAdmin = {
+    type: "object",
+    required: ["name", "email", "password"],
+    additionalProperties: false,
+    properties: {
+        name: { ...name, example: "SubAdmin1" },
+        email,
+        password: { ...password, example: "SubAdmin@123" },
+        roles,
+        permissions,
+        permissionScopes,
+    },
+};
+
+// Only the fields sent are changed
+const InviteSubAdmin = {
+    type: "object",
+    required: ["email"],
+    additionalProperties: false,
+    properties: {
+        email: { ...email, example: "subadmin2@example.com" },
+        name: {
+            ...name,
+            description: "Optional; the invitee can set it when accepting",
+            example: "SubAdmin2",
+        },
+        roles,
+        permissions,
+        permissionScopes,
+    },
+};
+
+const InviteParams = {
+    type: "object",
+    required: ["id"],
+    properties: {
+        id: objectId("Invited sub-admin ID"),
+    },
+};
+
+const UpdateSubAdmin = {
+    type: "object",
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+        name: { ...name, example: "SubAdmin1 Updated" },
+        email,
+        roles: {
+            ...roles,
+            description: "Names of roles to assign (replaces existing roles)",
+        },
+        permissions: {
+            ...permissions,
+            description: `${permissions.description} (replaces existing grants)`,
+        },
+        permissionScopes,
+    },
+};
+
+// `application/merge-patch+json`: fields sent replace the current values,
+// except that `permissions` and `permissionScopes` are merged key by key.
+// `null` removes a key.
+const SubAdminMergePatch = {
+    type: "object",
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+        name: UpdateSubAdmin.properties.name,
+        email,
+        roles: {
+            ...UpdateSubAdmin.properties.roles,
+            nullable: true,
+        },
+        permissions: {
+            ...permissions,
+            description: `${permissions.description}, merged into existing grants`,
+            nullable: true,
+            additionalProperties: { type: "boolean", nullable: true },
+            example: { "data:read": true, "dashboard:read": null },
+        },
+        permissionScopes: {
+            ...permissionScopes,
+            nullable: true,
+            additionalProperties: {
+                ...permissionScopes.additionalProperties,
+                nullable: true,
+            },
+        },
+    },
+};
+
+const jsonPointer = {
+    type: "string",
+    maxLength: 500,
+    pattern: "^(/[^/]*)*$",
+    example: "/permissions/data:read",
+};
+
+// `application/json-patch+json`: operations applied in order, all or nothing
+const SubAdminJsonPatch = {
+    type: "array",
+    minItems: 1,
+    maxItems: 100,
+    description:
+        "JSON Patch operations on " +
+        "`{ name, email, roles, permissions, permissionScopes }`",
+    items: {
+        type: "object",
+        required: ["op", "path"],
+        additionalProperties: false,
+        properties: {
+            op: {
+                type: "string",
+                enum: ["add", "remove", "replace", "move", "copy", "test"],
+            },
+            path: jsonPointer,
+            from: { ...jsonPointer, description: "For `move` and `copy`" },
+            value: {
+                nullable: true,
+                description: "For `add`, `replace` and `test`",
+            },
+        },
+    },
+    example: [
+        { op: "test", path: "/permissions/data:read", value: false },
+        { op: "replace", path: "/permissions/data:read", value: true },
+        { op: "add", path: "/roles/-", value: "content-editor" },
+    ],
+};
+
+// Sent with writes to sub-admins for optimistic concurrency
+const PreconditionHeaders = {
+    type: "object",
+    properties: {
+        "If-Match": {
+            type: "string",
+            description:
+                "ETag from the last read; the write fails with 412 if the " +
+                "sub-admin has changed since",
+            example: '"3"',
+        },
+    },
+};
+
+const StatusChangeReason = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        reason: {
+            type: "string",
+            maxLength: 500,
+            description: "Recorded in the audit log",
+            example: "Left the department",
+        },
+    },
+};
+
+const SubAdminParams = {
+    type: "object",
+    required: ["id"],
+    properties: {
+        id: objectId("Sub-admin ID"),
+    },
+};
+
+const UserParams = {
+    type: "object",
+    required: ["id"],
+    properties: {
+        id: objectId("User ID"),
+    },
+};
+
+const AdminParams = {
+    type: "object",
+    required: ["id"],
+    properties: {
+        id: objectId("Admin ID"),
+    },
+};
+
+const TransferOwnership = {
+    type: "object",
+    required: ["userId", "password"],
+    additionalProperties: false,
+    properties: {
+        userId: objectId("ID of the admin to become owner"),
+        password: {
+            ...password,
+            description: "The caller's password",
+            example: "Admin@123",
+        },
+    },
+};
+
+const expiresInDays = {
+    type: "integer",
+    minimum: 1,
+    maximum: 365,
+    nullable: true,
+    description: "Days until the key expires; `null` never expires",
+};
+
+const CreateApiKey = {
+    type: "object",
+    required: ["name", "permissions"],
+    additionalProperties: false,
+    properties: {
+        name: { ...name, example: "nightly-report-job" },
+        permissions: {
+            type: "array",
+            minItems: 1,
+            maxItems: 50,
+            description: "Permission catalog keys granted; wildcards allowed",
+            items: { type: "string", minLength: 1, maxLength: 100 },
+            example: ["data:read", "colleges:read"],
+        },
+        expiresInDays: { ...expiresInDays, default: 90 },
+        owner: objectId(
+            "Admin responsible for the key; defaults to the caller"
+        ),
+    },
+};
+
+const RotateApiKey = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        expiresInDays: {
+            ...expiresInDays,
+            description: `${expiresInDays.description}. Keeps the current expiry when left out.`,
+        },
+    },
+};
+
+const ApiKeyParams = {
+    type: "object",
+    required: ["id"],
+    properties: {
+        id: objectId("API key ID"),
+    },
+};
+
+// Filters shared by listing, exporting and bulk-updating sub-admins
+const subAdminFilters = {
+    search: {
+        type: "string",
+        maxLength: 100,
+        description: "Case-insensitive match on name or email",
+    },
+    permissions: {
+        type: "string",
+        description:
+            "Comma-separated permission keys the sub-admin must all " +
+            "have, directly, through a role or through a wildcard or " +
+            "legacy grant (e.g. `dashboard:read,data:read`)",
+    },
+    roles: {
+        type: "string",
+        description: "Comma-separated role names; matches any of them",
+    },
+    status: {
+        type: "string",
+        description:
+            "Comma-separated statuses, any of " +
+            SUB_ADMIN_STATUSES.map((status) => `\`${status}\``).join(", ") +
+            " (`locked`: locked out after failed logins)",
+    },
+    createdFrom: { type: "string", format: "date-time" },
+    createdTo: { type: "string", format: "date-time" },
+};
+
+const subAdminSort = {
+    type: "string",
+    enum: SUB_ADMIN_SORT_FIELDS.flatMap((field) => [field, `-${field}`]),
+    default: "-createdAt",
+    description: "Field to sort by; prefix with `-` for descending",
+};
+
+const SubAdminListQuery = {
+    type: "object",
+    properties: {
+        ...subAdminFilters,
+        sort: subAdminSort,
+        page: { type: "integer", minimum: 1, default: 1 },
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+    },
+};
+
+const SubAdminExportQuery = {
+    type: "object",
+    properties: {
+        format: { type: "string", enum: ["csv", "json"], default: "csv" },
+        ...subAdminFilters,
+        sort: subAdminSort,
+    },
+};
+
+const DryRunQuery = {
+    type: "object",
+    properties: {
+        dryRun: {
+            type: "boolean",
+            default: false,
+            description: "Validate only, without creating anything",
+        },
+    },
+};
+
+// Which sub-admins a bulk update applies to: either `ids` or `filter`
+// (checked by routes/bulkSubAdmins.js)
+const bulkTargets = {
+    ids: {
+        type: "array",
+        minItems: 1,
+        maxItems: BULK_LIMIT,
+        items: objectId(),
+    },
+    filter: {
+        type: "object",
+        description: "The same filters as GET /admin/sub-admins",
+        additionalProperties: false,
+        properties: subAdminFilters,
+    },
+};
+
+// Entries are checked one by one, so one invalid entry doesn't fail the
+// others (see routes/bulkSubAdmins.js)
+const BulkCreateSubAdmins = {
+    type: "object",
+    required: ["subAdmins"],
+    additionalProperties: false,
+    properties: {
+        subAdmins: {
+            type: "array",
+            minItems: 1,
+            maxItems: BULK_LIMIT,
+            description:
+                "Fields as for POST /admin/create-sub-admin; entries " +
+                "without a password are invited",
+            items: { type: "object" },
+            example: [
+                {
+                    name: "SubAdmin2",
+                    email: "subadmin2@example.com",
+                    password: "Str0ng-Passw0rd!",
+                    roles: ["content-editor"],
+                },
+                { email: "subadmin3@example.com" },
+            ],
+        },
+    },
+};
+
+const permissionKeys = {
+    type: "array",
+    items: { type: "string", minLength: 1 },
+};
+
+const BulkPermissions = {
+    type: "object",
+    description: `Either \`ids\` or \`filter\`, matching at most ${BULK_LIMIT} sub-admins`,
+    additionalProperties: false,
+    properties: {
+        ...bulkTargets,
+        grant: { ...permissionKeys, example: ["data:read"] },
+        revoke: { ...permissionKeys, example: ["manageContent"] },
+    },
+};
+
+const BulkStatusChange = {
+    type: "object",
+    description: `Either \`ids\` or \`filter\`, matching at most ${BULK_LIMIT} sub-admins`,
+    additionalProperties: false,
+    properties: {
+        ...bulkTargets,
+        reason: StatusChangeReason.properties.reason,
+    },
+};
+
+const BulkActionParams = {
+    type: "object",
+    required: ["action"],
+    properties: {
+        action: {
+            type: "string",
+            enum: Object.keys(SUB_ADMIN_TRANSITIONS),
+            description: "Status change to apply",
+        },
+    },
+};
+
+module.exports = {
+    CreateSubAdmin,
+    UpdateSubAdmin,
+    InviteSubAdmin,
+    InviteParams,
+    SubAdminMergePatch,
+    SubAdminJsonPatch,
+    PreconditionHeaders,
+    StatusChangeReason,
+    SubAdminParams,
+    UserParams,
+    AdminParams,
+    TransferOwnership,
+    SubAdminListQuery,
+    SubAdminExportQuery,
+    DryRunQuery,
+    BulkCreateSubAdmins,
+    BulkPermissions,
+    BulkStatusChange,
+    BulkActionParams,
+    CreateApiKey,
+    RotateApiKey,
+    ApiKeyParams,
+};
@@ -0,0 +1,51 @@
+// Request schemas for routes/auditLogs.js
+
+const filters = {
+    actor: {
+        type: "string",
+        maxLength: 254,
+        description: "Actor user ID or email",
+    },
+    action: {
+        type: "string",
+        maxLength: 500,
+        description:
+            "Comma-separated actions; a trailing `*` matches a prefix " +
+            "(e.g. `sub-admin.*,auth.login.failed`)",
+    },
+    target: { type: "string", maxLength: 100, description: "Target ID" },
+    targetType: {
+        type: "string",
+        maxLength: 50,
+        description: "Target type (e.g. `user`, `role`)",
+    },
+    from: {
+        type: "string",
+        format: "date-time",
+        description: "Only entries at or after this date",
+    },
+    to: {
+        type: "string",
+        format: "date-time",
+        description: "Only entries at or before this date",
+    },
+};
+
+const AuditLogQuery = {
+    type: "object",
+    properties: {
+        ...filters,
+        page: { type: "integer", minimum: 1, default: 1 },
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 50 },
+    },
+};
+
+const AuditLogExportQuery = {
+    type: "object",
+    properties: {
+        format: { type: "string", enum: ["csv", "json"], default: "csv" },
+        ...filters,
+    },
+};
+
+module.exports = { AuditLogQuery, AuditLogExportQuery };
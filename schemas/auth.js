@@ -0,0 +1,177 @@
+const { objectId, name, email, password, token } = require("./common");
+
+// Request schemas for routes/auth.js, routes/profile.js, routes/sessions.js
+// and routes/twoFactor.js
+
+// From the authenticator app
+const totpCode = { type: "string", pattern: "^\\d{6}$", example: "123456" };
+
+const AdminSignup = {
+    type: "object",
+    required: ["name", "email", "password"],
+    additionalProperties: false,
+    properties: {
+        name: { ...name, example: "Admin" },
+        email: { ...email, example: "admin@example.com" },
+        password: { ...password, example: "Str0ng-Passw0rd!" },
+    },
+};
+
+const Login = {
+    type: "object",
+    required: ["email", "password"],
+    additionalProperties: false,
+    properties: {
+        email: { ...email, example: "admin@example.com" },
+        password: { ...password, example: "Str0ng-Passw0rd!" },
+    },
+};
+
+const TwoFactorChallenge = {
+    type: "object",
+    required: ["challengeToken"],
+    additionalProperties: false,
+    properties: {
+        challengeToken: {
+            ...token,
+            description: "Returned by POST /auth/login",
+        },
+        code: totpCode,
+        recoveryCode: {
+            type: "string",
+            minLength: 1,
+            maxLength: 64,
+            description: "One-time recovery code, instead of `code`",
+        },
+    },
+};
+
+// The refresh token may come from the cookie instead
+const RefreshTokenBody = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        refreshToken: token,
+    },
+};
+
+const ChangePassword = {
+    type: "object",
+    required: ["currentPassword", "newPassword"],
+    additionalProperties: false,
+    properties: {
+        currentPassword: { ...password, example: "SubAdmin@123" },
+        newPassword: { ...password, example: "N3w-SubAdmin@123" },
+    },
+};
+
+const ForgotPassword = {
+    type: "object",
+    required: ["email"],
+    additionalProperties: false,
+    properties: {
+        email,
+    },
+};
+
+const ResetPassword = {
+    type: "object",
+    required: ["token", "newPassword"],
+    additionalProperties: false,
+    properties: {
+        token,
+        newPassword: { ...password, example: "N3w-SubAdmin@123" },
+    },
+};
+
+const AcceptInvite = {
+    type: "object",
+    required: ["token", "password"],
+    additionalProperties: false,
+    properties: {
+        token,
+        password: { ...password, example: "Str0ng-Passw0rd!" },
+        name: {
+            ...name,
+            description: "Required if the admin didn't set one",
+            example: "SubAdmin2",
+        },
+    },
+};
+
+// Fields users may change on their own profile
+const UpdateProfile = {
+    type: "object",
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+        name: { ...name, example: "SubAdmin1" },
+    },
+};
+
+const ChangeEmail = {
+    type: "object",
+    required: ["email", "currentPassword"],
+    additionalProperties: false,
+    properties: {
+        email: {
+            ...email,
+            description: "New address; a confirmation link is sent to it",
+            example: "new.address@example.com",
+        },
+        currentPassword: { ...password, example: "SubAdmin@123" },
+    },
+};
+
+const VerifyEmailChange = {
+    type: "object",
+    required: ["token"],
+    additionalProperties: false,
+    properties: {
+        token,
+    },
+};
+
+const TwoFactorCode = {
+    type: "object",
+    required: ["code"],
+    additionalProperties: false,
+    properties: {
+        code: totpCode,
+    },
+};
+
+const DisableTwoFactor = {
+    type: "object",
+    required: ["password", "code"],
+    additionalProperties: false,
+    properties: {
+        password: { ...password, example: "SubAdmin@123" },
+        code: totpCode,
+    },
+};
+
+const SessionParams = {
+    type: "object",
+    required: ["id"],
+    properties: {
+        id: objectId("Session ID"),
+    },
+};
+
+module.exports = {
+    AdminSignup,
+    Login,
+    TwoFactorChallenge,
+    RefreshTokenBody,
+    ChangePassword,
+    ForgotPassword,
+    ResetPassword,
+    AcceptInvite,
+    UpdateProfile,
+    ChangeEmail,
+    VerifyEmailChange,
+    TwoFactorCode,
+    DisableTwoFactor,
+    SessionParams,
+};
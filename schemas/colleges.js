@@ -0,0 +1,74 @@
+const { objectId } = require("./common");
+const { COLLEGE_SORT_FIELDS } = require("../models/College");
+
+// Request schemas for routes/colleges.js
+
+const collegeFields = {
+    name: {
+        type: "string",
+        minLength: 1,
+        maxLength: 200,
+        example: "Example College",
+    },
+    code: {
+        type: "string",
+        pattern: "^[A-Za-z0-9][A-Za-z0-9-]{1,19}$",
+        description: "Unique; stored in upper case",
+        example: "EXC-01",
+    },
+    location: {
+        type: "string",
+        minLength: 1,
+        maxLength: 200,
+        example: "Pune, India",
+    },
+    studentCount: { type: "integer", minimum: 0, example: 1200 },
+};
+
+const CreateCollege = {
+    type: "object",
+    required: ["name", "code", "location"],
+    additionalProperties: false,
+    properties: collegeFields,
+};
+
+const UpdateCollege = {
+    type: "object",
+    minProperties: 1,
+    additionalProperties: false,
+    properties: collegeFields,
+};
+
+const CollegeParams = {
+    type: "object",
+    required: ["id"],
+    properties: {
+        id: objectId("College ID"),
+    },
+};
+
+const CollegeListQuery = {
+    type: "object",
+    properties: {
+        search: {
+            type: "string",
+            maxLength: 100,
+            description: "Case-insensitive match on name, code or location",
+        },
+        sort: {
+            type: "string",
+            enum: COLLEGE_SORT_FIELDS.flatMap((field) => [field, `-${field}`]),
+            default: "name",
+            description: "Field to sort by; prefix with `-` for descending",
+        },
+        page: { type: "integer", minimum: 1, default: 1 },
+        limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+    },
+};
+
+module.exports = {
+    CreateCollege,
+    UpdateCollege,
+    CollegeParams,
+    CollegeListQuery,
+};
@@ -0,0 +1,58 @@
+// Schema fragments shared by several request schemas
+
+const objectId = (description) => ({
+    type: "string",
+    format: "objectId",
+    description,
+    example: "665f1c2b8f1a2b3c4d5e6f70",
+});
+
+const name = { type: "string", minLength: 1, maxLength: 100 };
+
+const email = {
+    type: "string",
+    format: "email",
+    maxLength: 254,
+    example: "subadmin1@example.com",
+};
+
+// Strength is checked by the password policy (utils/passwordPolicy.js)
+const password = { type: "string", minLength: 1, maxLength: 128 };
+
+const token = { type: "string", minLength: 1, maxLength: 512 };
+
+const roles = {
+    type: "array",
+    description: "Names of roles to assign",
+    items: { type: "string", minLength: 1 },
+    example: ["content-editor"],
+};
+
+const permissions = {
+    type: "object",
+    description: "Direct grants, keyed by permission catalog key",
+    additionalProperties: { type: "boolean" },
+    example: { "dashboard:read": true, "data:read": true },
+};
+
+const permissionScopes = {
+    type: "object",
+    description:
+        "Grants limited to specific resources, keyed by permission catalog " +
+        "key (e.g. college IDs for `colleges:write`)",
+    additionalProperties: {
+        type: "array",
+        items: { type: "string", minLength: 1 },
+    },
+};
+
+module.exports = {
+    objectId,
+    name,
+    email,
+    password,
+    token,
+    roles,
+    permissions,
+    permissionScopes,
+};
@@ -0,0 +1,128 @@
+const { CONTENT_STATUSES, CONTENT_SORT_FIELDS } = require("../models/Content");
+
+// Request schemas for routes/content.js
+
+const slug = {
+    type: "string",
+    pattern: "^[a-z0-9]+(?:-[a-z0-9]+)*$",
+    maxLength: 100,
+    example: "about-us",
+};
+
+const title = { type: "string", minLength: 1, maxLength: 200 };
+
+const body = { type: "string", maxLength: 100000 };
+
+const versionNumber = { type: "integer", minimum: 1 };
+
+const page = { type: "integer", minimum: 1, default: 1 };
+
+const limit = { type: "integer", minimum: 1, maximum: 100, default: 20 };
+
+const CreateContent = {
+    type: "object",
+    required: ["slug", "title"],
+    additionalProperties: false,
+    properties: {
+        slug,
+        title: { ...title, example: "About us" },
+        body: { ...body, example: "Some content here." },
+    },
+};
+
+const UpdateContent = {
+    type: "object",
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+        title,
+        body: { ...body, example: "Some updated content here." },
+    },
+};
+
+const RollbackContent = {
+    type: "object",
+    required: ["version"],
+    additionalProperties: false,
+    properties: {
+        version: { ...versionNumber, example: 2 },
+    },
+};
+
+// Slugs are matched case-insensitively
+const ContentParams = {
+    type: "object",
+    required: ["slug"],
+    properties: {
+        slug: {
+            type: "string",
+            pattern: "^[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*$",
+            maxLength: 100,
+            description: "Content slug",
+        },
+    },
+};
+
+const ContentVersionParams = {
+    type: "object",
+    required: ["slug", "version"],
+    properties: {
+        ...ContentParams.properties,
+        version: { ...versionNumber, description: "Version number" },
+    },
+};
+
+const ContentListQuery = {
+    type: "object",
+    properties: {
+        search: {
+            type: "string",
+            maxLength: 100,
+            description: "Case-insensitive match on title or slug",
+        },
+        status: {
+            type: "string",
+            description:
+                "Comma-separated statuses, any of " +
+                CONTENT_STATUSES.map((status) => `\`${status}\``).join(", "),
+        },
+        sort: {
+            type: "string",
+            enum: CONTENT_SORT_FIELDS.flatMap((field) => [field, `-${field}`]),
+            default: "-updatedAt",
+            description: "Field to sort by; prefix with `-` for descending",
+        },
+        page,
+        limit,
+    },
+};
+
+const ContentVersionListQuery = {
+    type: "object",
+    properties: {
+        page,
+        limit,
+    },
+};
+
+const ContentDiffQuery = {
+    type: "object",
+    properties: {
+        from: {
+            ...versionNumber,
+            description: "Defaults to the version before `to`",
+        },
+        to: { ...versionNumber, description: "Defaults to the latest version" },
+    },
+};
+
+module.exports = {
+    CreateContent,
+    UpdateContent,
+    RollbackContent,
+    ContentParams,
+    ContentVersionParams,
+    ContentListQuery,
+    ContentVersionListQuery,
+    ContentDiffQuery,
+};
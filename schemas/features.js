@@ -0,0 +1,40 @@
+const { BUCKETS } = require("../utils/dashboardStats");
+
+// Request schemas for routes/features.js
+
+const DashboardQuery = {
+    type: "object",
+    properties: {
+        from: {
+            type: "string",
+            format: "date-time",
+            description: "Defaults to 30 days before `to`",
+        },
+        to: {
+            type: "string",
+            format: "date-time",
+            description: "Defaults to now",
+        },
+        bucket: {
+            type: "string",
+            enum: BUCKETS,
+            default: "day",
+            description:
+                "Granularity of the login series (UTC, weeks start on Monday)",
+        },
+    },
+};
+
+const DatasetParams = {
+    type: "object",
+    required: ["dataset"],
+    properties: {
+        dataset: {
+            type: "string",
+            pattern: "^[\\w-]{1,64}$",
+            description: "Dataset name",
+        },
+    },
+};
+
+module.exports = { DashboardQuery, DatasetParams };
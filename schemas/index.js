@@ -0,0 +1,127 @@
+// Request schemas, validated by middleware/validate.js and published as
+// Swagger components by app.js, so the docs always describe what the API
+// accepts. Names ending in `Params`, `Query` or `Headers` become path, query
+// or header parameters (`#/components/parameters/<Name>.<field>`); the rest
+// are request bodies (`#/components/schemas/<Name>`). Headers are documented
+// but not validated.
+const schemas = {
+    ...require("./auth"),
+    ...require("./admin"),
+    ...require("./features"),
+    ...require("./roles"),
+    ...require("./colleges"),
+    ...require("./content"),
+    ...require("./auditLogs"),
+};
+
+// Body of every error response (see middleware/errorHandler.js)
+const ErrorResponse = {
+    type: "object",
+    properties: {
+        message: { type: "string" },
+        code: {
+            type: "string",
+            description: "Stable, machine-readable error code",
+            example: "NOT_FOUND",
+        },
+        requestId: {
+            type: "string",
+            description: "Also sent in the `X-Request-Id` header and logs",
+        },
+    },
+};
+
+// Body of the 400 response middleware/validate.js sends
+const ValidationError = {
+    type: "object",
+    properties: {
+        ...ErrorResponse.properties,
+        message: { type: "string", example: "Validation failed" },
+        code: { type: "string", example: "VALIDATION_FAILED" },
+        errors: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    location: {
+                        type: "string",
+                        enum: ["params", "query", "body"],
+                    },
+                    field: { type: "string", example: "email" },
+                    rule: {
+                        type: "string",
+                        description:
+                            "Password policy rule, for PASSWORD_POLICY errors",
+                        example: "minLength",
+                    },
+                    message: {
+                        type: "string",
+                        example: "must be a valid email address",
+                    },
+                },
+            },
+        },
+    },
+};
+
+const PARAMETER_LOCATIONS = {
+    Params: "path",
+    Query: "query",
+    Headers: "header",
+};
+
+// A parameter carries its own description, outside its schema
+const toParameter = (
+    field,
+    { description, ...schema },
+    location,
+    required
+) => ({
+    in: location,
+    name: field,
+    required: location === "path" || required,
+    description,
+    schema,
+});
+
+const swaggerComponents = () => {
+    const components = {
+        schemas: { Error: ErrorResponse, ValidationError },
+        parameters: {},
+        responses: {
+            ValidationError: {
+                description: "Invalid request",
+                content: {
+                    "application/json": {
+                        schema: {
+                            $ref: "#/components/schemas/ValidationError",
+                        },
+                    },
+                },
+            },
+        },
+    };
+
+    for (const [name, schema] of Object.entries(schemas)) {
+        const suffix = Object.keys(PARAMETER_LOCATIONS).find((end) =>
+            name.endsWith(end)
+        );
+        if (!suffix) {
+            components.schemas[name] = schema;
+            continue;
+        }
+
+        for (const [field, property] of Object.entries(schema.properties)) {
+            components.parameters[`${name}.${field}`] = toParameter(
+                field,
+                property,
+                PARAMETER_LOCATIONS[suffix],
+                (schema.required || []).includes(field)
+            );
+        }
+    }
+
+    return components;
+};
+
+module.exports = { ...schemas, swaggerComponents };
@@ -0,0 +1,102 @@
+const { objectId } = require("./common");
+
+// Request schemas for routes/roles.js and routes/permissions.js
+
+const roleName = {
+    type: "string",
+    pattern: "^[a-zA-Z0-9][a-zA-Z0-9-]*$",
+    maxLength: 100,
+    description: "Letters, digits and dashes; stored in lowercase",
+    example: "content-editor",
+};
+
+const description = { type: "string", maxLength: 500 };
+
+const rolePermissions = {
+    type: "array",
+    description: "Permission catalog keys, wildcards allowed",
+    items: { type: "string", minLength: 1 },
+    example: ["dashboard:read", "content:*"],
+};
+
+const requireTwoFactor = {
+    type: "boolean",
+    description: "Users with this role must enroll in 2FA",
+    example: true,
+};
+
+// Same rule as `Permission.key`
+const permissionKey = {
+    type: "string",
+    pattern: "^[a-zA-Z][\\w:-]*$",
+    maxLength: 100,
+    example: "reports:read",
+};
+
+const CreateRole = {
+    type: "object",
+    required: ["name"],
+    additionalProperties: false,
+    properties: {
+        name: roleName,
+        description: { ...description, example: "Can edit site content" },
+        permissions: rolePermissions,
+        requireTwoFactor,
+    },
+};
+
+const UpdateRole = {
+    type: "object",
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+        name: roleName,
+        description,
+        permissions: rolePermissions,
+        requireTwoFactor,
+    },
+};
+
+const RoleParams = {
+    type: "object",
+    required: ["id"],
+    properties: {
+        id: objectId("Role ID"),
+    },
+};
+
+const CreatePermission = {
+    type: "object",
+    required: ["key"],
+    additionalProperties: false,
+    properties: {
+        key: permissionKey,
+        description: { ...description, example: "View reports" },
+    },
+};
+
+const UpdatePermission = {
+    type: "object",
+    required: ["description"],
+    additionalProperties: false,
+    properties: {
+        description: { ...description, example: "View and export reports" },
+    },
+};
+
+const PermissionParams = {
+    type: "object",
+    required: ["key"],
+    properties: {
+        key: { ...permissionKey, description: "Permission key" },
+    },
+};
+
+module.exports = {
+    CreateRole,
+    UpdateRole,
+    RoleParams,
+    CreatePermission,
+    UpdatePermission,
+    PermissionParams,
+};
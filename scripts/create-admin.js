@@ -0,0 +1,78 @@
+// Create the initial (owner) admin from the command line, so a fresh
+// deployment never exposes a public signup. Refuses if an admin exists;
+// further admins are promoted through the API.
+//
+// Usage: node scripts/create-admin.js --email admin@example.com --name Admin
+// The password is read from ADMIN_PASSWORD or prompted for.
+require("dotenv").config();
+const readline = require("readline");
+const { Writable } = require("stream");
+const { parseArgs } = require("util");
+const mongoose = require("mongoose");
+const { PasswordPolicyError } = require("../utils/passwordPolicy");
+const { isSetupComplete, createOwner } = require("../utils/setup");
+
+// Read a line from the terminal without echoing it
+const promptHidden = (question) =>
+    new Promise((resolve) => {
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: new Writable({ write: (chunk, encoding, done) => done() }),
+            terminal: true,
+        });
+        process.stdout.write(question);
+        rl.question("", (answer) => {
+            rl.close();
+            process.stdout.write("\n");
+            resolve(answer);
+        });
+    });
+
+const createAdmin = async ({ email, name }) => {
+    if (await isSetupComplete()) {
+        throw new Error(
+            "An admin already exists; promote sub-admins through the API"
+        );
+    }
+
+    const password =
+        process.env.ADMIN_PASSWORD || (await promptHidden("Password: "));
+
+    const admin = await createOwner({ name, email, password });
+
+    console.log(`Created admin ${admin.email}`);
+};
+
+const { values } = parseArgs({
+    options: {
+        email: { type: "string" },
+        name: { type: "string", default: "Admin" },
+    },
+});
+
+if (!values.email) {
+    console.error(
+        "Usage: node scripts/create-admin.js --email <email> [--name <name>]"
+    );
+    process.exit(1);
+}
+
+mongoose
+    .connect(
+        process.env.MONGODB_URI || "mongodb://localhost:27017/admin-system"
+    )
+    .then(() => createAdmin(values))
+    .catch((err) => {
+        if (err instanceof PasswordPolicyError) {
+            console.error(
+                [
+                    err.message,
+                    ...err.violations.map((v) => `- ${v.message}`),
+                ].join("\n")
+            );
+        } else {
+            console.error("Failed to create admin:", err.message);
+        }
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,80 @@
+// Rewrite legacy boolean permission keys (e.g. `collegeManagement`) to the
+// `resource:action` keys they stand for (`colleges:read`, `colleges:write`)
+// in roles, direct grants and scoped grants. Legacy keys keep working without
+// this; it only tidies stored data. Safe to re-run.
+//
+// Usage: node scripts/migrate-permissions.js
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const Permission = require("../models/Permission");
+const {
+    LEGACY_PERMISSIONS,
+    expandPermission,
+} = require("../utils/permissionKeys");
+
+const legacyKeys = Object.keys(LEGACY_PERMISSIONS);
+
+const migrate = async () => {
+    await Permission.ensureDefaults();
+
+    const roles = await Role.find({ permissions: { $in: legacyKeys } });
+    for (const role of roles) {
+        role.permissions = [
+            ...new Set(role.permissions.flatMap(expandPermission)),
+        ];
+        await role.save();
+    }
+
+    const users = await User.find({
+        $or: legacyKeys.flatMap((key) => [
+            { [`permissions.${key}`]: { $exists: true } },
+            { [`permissionScopes.${key}`]: { $exists: true } },
+        ]),
+    })
+        .select("permissions permissionScopes")
+        .lean();
+
+    for (const user of users) {
+        const permissions = {};
+        for (const [key, granted] of Object.entries(user.permissions || {})) {
+            for (const expanded of expandPermission(key)) {
+                permissions[expanded] = permissions[expanded] || granted;
+            }
+        }
+
+        const permissionScopes = {};
+        for (const [key, ids] of Object.entries(user.permissionScopes || {})) {
+            for (const expanded of expandPermission(key)) {
+                permissionScopes[expanded] = [
+                    ...new Set([...(permissionScopes[expanded] || []), ...ids]),
+                ];
+            }
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { permissions, permissionScopes } }
+        );
+    }
+
+    // Legacy catalog entries are no longer needed once nothing refers to them
+    await Permission.deleteMany({ key: { $in: legacyKeys } });
+
+    console.log(
+        `Migrated ${roles.length} role(s) and ${users.length} user(s) ` +
+            `from legacy keys: ${legacyKeys.join(", ")}`
+    );
+};
+
+mongoose
+    .connect(
+        process.env.MONGODB_URI || "mongodb://localhost:27017/admin-system"
+    )
+    .then(migrate)
+    .catch((err) => {
+        console.error("Migration failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,77 @@
+// Migrate users from the old hardcoded permission booleans to roles.
+//
+// Every distinct combination of granted permissions becomes a role
+// (e.g. `legacy-dashboard-view-data`), users are assigned the role matching
+// their permissions and their direct grants are cleared. Users saved before
+// roles existed get an empty `roles` list. Safe to re-run.
+//
+// Usage: node scripts/migrate-roles.js
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const Permission = require("../models/Permission");
+
+const toKebab = (key) =>
+    key
+        .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+        .replace(/\*/g, "all")
+        .replace(/:/g, "-")
+        .toLowerCase();
+
+const migrate = async () => {
+    await Permission.ensureDefaults();
+
+    const backfilled = await User.updateMany(
+        { roles: { $exists: false } },
+        { $set: { roles: [] } }
+    );
+
+    const users = await User.find({ role: "sub-admin" }).lean();
+    let migrated = 0;
+
+    for (const user of users) {
+        const granted = Object.entries(user.permissions || {})
+            .filter(([, value]) => value)
+            .map(([key]) => key)
+            .sort();
+
+        if (!granted.length) continue;
+
+        const name = `legacy-${granted.map(toKebab).join("-")}`;
+        const role = await Role.findOneAndUpdate(
+            { name },
+            {
+                $setOnInsert: {
+                    name,
+                    description: `Migrated from permissions: ${granted.join(", ")}`,
+                    permissions: granted,
+                },
+            },
+            { upsert: true, new: true }
+        );
+
+        await User.updateOne(
+            { _id: user._id },
+            { $addToSet: { roles: role._id }, $set: { permissions: {} } }
+        );
+        migrated += 1;
+    }
+
+    // Admins get everything from their account type
+    await User.updateMany({ role: "admin" }, { $set: { permissions: {} } });
+
+    console.log(`Migrated ${migrated} sub-admin(s) to roles`);
+    console.log(`Backfilled roles for ${backfilled.modifiedCount} user(s)`);
+};
+
+mongoose
+    .connect(
+        process.env.MONGODB_URI || "mongodb://localhost:27017/admin-system"
+    )
+    .then(migrate)
+    .catch((err) => {
+        console.error("Migration failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
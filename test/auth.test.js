@@ -0,0 +1,192 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { generateToken, verifyToken } = require("../middleware/auth");
+const {
+    getAuthUser,
+    invalidateUser,
+    clearUserCache,
+} = require("../utils/userCache");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stand-in for a Mongoose query resolving to `value`
+const query = (value) => ({
+    select: () => query(value),
+    populate: () => query(value),
+    lean: async () => value,
+});
+
+const requestWith = (token) => ({
+    headers: { authorization: `Bearer ${token}` },
+    cookies: {},
+    ip: "127.0.0.1",
+    get: () => undefined,
+});
+
+describe("live permissions", () => {
+    let user;
+    let session;
+
+    beforeEach((t) => {
+        clearUserCache();
+
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            name: "Sub Admin",
+            email: "sub@example.com",
+            role: "sub-admin",
+            status: "active",
+            roles: [{ name: "editor", permissions: ["colleges:read"] }],
+            permissions: {},
+            permissionScopes: {},
+        };
+        session = {
+            _id: new mongoose.Types.ObjectId(),
+            expiresAt: new Date(Date.now() + HOUR_MS),
+            lastSeenAt: new Date(),
+        };
+
+        t.mock.method(User, "findById", () => query({ ...user }));
+        t.mock.method(Session, "findActive", () => query(session));
+        t.mock.method(Session, "updateOne", async () => {});
+        t.mock.method(Session, "updateMany", async () => ({
+            modifiedCount: 1,
+        }));
+        t.mock.method(Session, "distinct", async () => [session._id]);
+    });
+
+    const authenticate = async () => {
+        const req = requestWith(generateToken(user, session._id));
+        await verifyToken(req, {}, () => {});
+        return req;
+    };
+
+    it("loads permissions from the user rather than the token", async () => {
+        const req = await authenticate();
+
+        assert.equal(req.user.id, String(user._id));
+        assert.equal(req.user.role, "sub-admin");
+        assert.deepEqual(req.user.roles, ["editor"]);
+        assert.equal(req.user.permissions["colleges:read"], true);
+        assert.equal(req.user.sid, String(session._id));
+    });
+
+    it("serves repeated lookups from the cache until invalidated", async () => {
+        await getAuthUser(user._id);
+        await getAuthUser(user._id);
+        assert.equal(User.findById.mock.callCount(), 1);
+
+        user.permissions = { "content:write": true };
+        assert.equal(
+            (await getAuthUser(user._id)).permissions["content:write"],
+            undefined
+        );
+
+        invalidateUser(user._id);
+        const reloaded = await getAuthUser(user._id);
+        assert.equal(reloaded.permissions["content:write"], true);
+        assert.equal(User.findById.mock.callCount(), 2);
+    });
+
+    it("applies permission changes to tokens issued before them", async () => {
+        const token = generateToken(user, session._id);
+        await verifyToken(requestWith(token), {}, () => {});
+
+        user.roles = [];
+        invalidateUser(user._id);
+
+        const req = requestWith(token);
+        await verifyToken(req, {}, () => {});
+        assert.equal(req.user.permissions["colleges:read"], undefined);
+    });
+
+    it("accepts users saved before roles existed", async () => {
+        delete user.roles;
+
+        const req = await authenticate();
+        assert.deepEqual(req.user.roles, []);
+        assert.equal(req.user.twoFactorRequired, false);
+    });
+
+    it("treats users saved before statuses existed as active", async () => {
+        delete user.status;
+
+        const req = await authenticate();
+        assert.equal(req.user.id, String(user._id));
+    });
+
+    it("backfills the active status for users saved before statuses", async (t) => {
+        t.mock.method(User, "updateMany", async () => ({ modifiedCount: 1 }));
+
+        await User.backfillStatus();
+        assert.deepEqual(User.updateMany.mock.calls[0].arguments, [
+            { status: { $exists: false } },
+            { $set: { status: "active" } },
+        ]);
+    });
+
+    it("refuses suspended accounts immediately", async () => {
+        const token = generateToken(user, session._id);
+        await verifyToken(requestWith(token), {}, () => {});
+
+        user.status = "suspended";
+        invalidateUser(user._id);
+
+        await assert.rejects(
+            verifyToken(requestWith(token), {}, () => {}),
+            {
+                status: 401,
+                code: "ACCOUNT_INACTIVE",
+            }
+        );
+    });
+
+    it("refuses sessions revoked through this instance", async () => {
+        const token = generateToken(user, session._id);
+        await verifyToken(requestWith(token), {}, () => {});
+
+        await Session.revoke({ _id: session._id }, "logout");
+        Session.findActive.mock.mockImplementation(() => query(null));
+
+        await assert.rejects(
+            verifyToken(requestWith(token), {}, () => {}),
+            {
+                status: 401,
+                code: "SESSION_REVOKED",
+            }
+        );
+    });
+});
+
+describe("USER_CACHE_TTL_MS", () => {
+    // The TTL is read once, when the module loads
+    const ttlFor = (value) => {
+        const path = require.resolve("../utils/userCache");
+        const previous = process.env.USER_CACHE_TTL_MS;
+        if (value === undefined) delete process.env.USER_CACHE_TTL_MS;
+        else process.env.USER_CACHE_TTL_MS = value;
+
+        delete require.cache[path];
+        try {
+            return require(path).USER_CACHE_TTL_MS;
+        } finally {
+            if (previous === undefined) delete process.env.USER_CACHE_TTL_MS;
+            else process.env.USER_CACHE_TTL_MS = previous;
+            delete require.cache[path];
+        }
+    };
+
+    it("keeps 0 to disable caching", () => {
+        assert.equal(ttlFor("0"), 0);
+    });
+
+    it("uses the default when missing or not a number", () => {
+        assert.equal(ttlFor(undefined), 30000);
+        assert.equal(ttlFor(""), 30000);
+        assert.equal(ttlFor("soon"), 30000);
+        assert.equal(ttlFor("5000"), 5000);
+    });
+});
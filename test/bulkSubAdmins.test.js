@@ -0,0 +1,184 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const Permission = require("../models/Permission");
+const OneTimeToken = require("../models/OneTimeToken");
+const AuditLog = require("../models/AuditLog");
+const bulkSubAdminRoutes = require("../routes/bulkSubAdmins");
+const { generateToken } = require("../middleware/auth");
+const { errorHandler } = require("../middleware/errorHandler");
+const { parseCsv, parseCsvRecords } = require("../utils/csv");
+const { setTransport } = require("../utils/mailer");
+const { clearUserCache } = require("../utils/userCache");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Stand-in for a Mongoose query resolving to `value`
+const query = (value) => ({
+    select: () => query(value),
+    populate: () => query(value),
+    limit: async () => value,
+    lean: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+describe("CSV parsing", () => {
+    it("numbers rows by their line, counting blank lines", () => {
+        const rows = parseCsv(
+            'email\r\n\r\na@example.com\n"multi\nline"\n\nb@x'
+        );
+
+        assert.deepEqual(
+            rows.map(({ line, cells }) => [line, cells]),
+            [
+                [1, ["email"]],
+                [3, ["a@example.com"]],
+                [4, ["multi\nline"]],
+                [7, ["b@x"]],
+            ]
+        );
+    });
+
+    it("keys records by the trimmed header", () => {
+        assert.deepEqual(parseCsvRecords(" name , email\nAda, ada@x.io \n"), [
+            { line: 2, fields: { name: "Ada", email: "ada@x.io" } },
+        ]);
+    });
+});
+
+describe("bulk sub-admin routes", () => {
+    const admin = {
+        _id: new mongoose.Types.ObjectId(),
+        name: "Admin",
+        email: "admin@example.com",
+        role: "admin",
+        status: "active",
+        roles: [],
+    };
+    const session = {
+        _id: new mongoose.Types.ObjectId(),
+        expiresAt: new Date(Date.now() + HOUR_MS),
+        lastSeenAt: new Date(),
+    };
+    let server;
+    let baseUrl;
+
+    before(() => {
+        const app = express();
+        app.use(express.json());
+        app.use("/sub-admins", bulkSubAdminRoutes);
+        app.use(errorHandler);
+
+        server = app.listen(0);
+        baseUrl = `http://127.0.0.1:${server.address().port}/sub-admins`;
+    });
+
+    after(() => server.close());
+
+    beforeEach((t) => {
+        clearUserCache();
+        t.mock.method(User, "findById", () => query(admin));
+        t.mock.method(Session, "findActive", () => query(session));
+        t.mock.method(Session, "updateOne", async () => {});
+        t.mock.method(Permission, "distinct", async () => []);
+        t.mock.method(Permission, "findUnknown", async () => []);
+        t.mock.method(User, "exists", async () => null);
+        t.mock.method(User.prototype, "save", async function () {
+            return this;
+        });
+        t.mock.method(User, "updateMany", async () => ({}));
+        t.mock.method(OneTimeToken, "issue", async () => "token");
+        t.mock.method(AuditLog, "create", async () => {});
+        t.mock.method(console, "log", () => {});
+        t.mock.method(console, "error", () => {});
+    });
+
+    const post = (path, body, contentType = "application/json") =>
+        fetch(`${baseUrl}${path}`, {
+            method: "POST",
+            headers: {
+                Authorization: `Bearer ${generateToken(admin, session._id)}`,
+                "Content-Type": contentType,
+            },
+            body: typeof body === "string" ? body : JSON.stringify(body),
+        });
+
+    it("reports a failed invitation email on its row and carries on", async (t) => {
+        let sent = 0;
+        setTransport({
+            send: async () => {
+                sent += 1;
+                if (sent === 1) throw new Error("SMTP unavailable");
+            },
+        });
+        t.after(() => setTransport({ send: async () => {} }));
+
+        const response = await post("/bulk/create", {
+            subAdmins: [
+                { email: "first@example.com" },
+                { email: "second@example.com" },
+            ],
+        });
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(body.created, 1);
+        assert.equal(body.failed, 1);
+        assert.equal(body.results[0].status, "invited");
+        assert.ok(body.results[0].id);
+        assert.match(body.results[0].errors[0], /invitation email/);
+        assert.equal(body.results[1].errors, undefined);
+        assert.equal(sent, 2);
+    });
+
+    it("reports import problems on the CSV line they came from", async () => {
+        const response = await post(
+            "/import?dryRun=true",
+            "name,email\n\nAda,ada@example.com\n\nBad,not-an-email\n",
+            "text/csv"
+        );
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(
+            body.results.map(({ row, errors }) => ({ row, errors })),
+            [
+                { row: 3, errors: undefined },
+                { row: 5, errors: ["A valid email is required"] },
+            ]
+        );
+    });
+
+    it("leaves soft-deleted sub-admins out of bulk permission changes", async (t) => {
+        const ids = [String(new mongoose.Types.ObjectId())];
+        t.mock.method(User, "find", () => query([]));
+
+        const response = await post("/bulk/permissions", {
+            ids,
+            grant: ["colleges:read"],
+        });
+
+        assert.equal(response.status, 200);
+        const [filter] = User.find.mock.calls[0].arguments;
+        assert.deepEqual(filter, {
+            $and: [
+                { _id: { $in: ids }, role: "sub-admin" },
+                { status: { $ne: "deleted" } },
+            ],
+        });
+    });
+
+    it("still lets bulk restore target soft-deleted sub-admins", async (t) => {
+        const ids = [String(new mongoose.Types.ObjectId())];
+        t.mock.method(User, "find", () => query([]));
+
+        const response = await post("/bulk/restore", { ids });
+
+        assert.equal(response.status, 200);
+        const [filter] = User.find.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: { $in: ids }, role: "sub-admin" });
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Read when the module loads
+process.env.DASHBOARD_CACHE_TTL_MS = "0";
+
+const User = require("../models/User");
+const College = require("../models/College");
+const Content = require("../models/Content");
+const AuditLog = require("../models/AuditLog");
+const { getDashboardStats } = require("../utils/dashboardStats");
+
+// Stand-in for a Mongoose query resolving to `value`
+const query = (value) => ({
+    select: () => query(value),
+    sort: () => query(value),
+    limit: () => query(value),
+    lean: async () => value,
+});
+
+describe("dashboard statistics", () => {
+    beforeEach((t) => {
+        t.mock.method(User, "aggregate", async () => []);
+        t.mock.method(User, "countDocuments", async () => 0);
+        t.mock.method(AuditLog, "aggregate", async () => [
+            { _id: { day: "2026-10-05", action: "auth.login" }, count: 2 },
+            { _id: { day: "2026-10-07", action: "auth.login" }, count: 3 },
+            {
+                _id: { day: "2026-10-12", action: "auth.login.failed" },
+                count: 1,
+            },
+        ]);
+        t.mock.method(AuditLog, "distinct", async () => []);
+        t.mock.method(AuditLog, "countDocuments", async () => 0);
+        t.mock.method(AuditLog, "find", () => query([]));
+        t.mock.method(Content, "aggregate", async () => []);
+        t.mock.method(College, "aggregate", async () => []);
+    });
+
+    it("adds daily login counts up into weeks starting on Monday", async () => {
+        const { stats } = await getDashboardStats({
+            from: "2026-10-05T00:00:00Z",
+            to: "2026-10-18T23:59:59Z",
+            bucket: "week",
+        });
+
+        assert.deepEqual(
+            stats.logins.series.map(({ bucket, successful, failed }) => ({
+                bucket: bucket.toISOString(),
+                successful,
+                failed,
+            })),
+            [
+                {
+                    bucket: "2026-10-05T00:00:00.000Z",
+                    successful: 5,
+                    failed: 0,
+                },
+                {
+                    bucket: "2026-10-12T00:00:00.000Z",
+                    successful: 0,
+                    failed: 1,
+                },
+            ]
+        );
+        assert.equal(stats.logins.successful, 5);
+        assert.equal(stats.logins.failed, 1);
+    });
+
+    it("doesn't cache when DASHBOARD_CACHE_TTL_MS is 0", async () => {
+        const range = { from: "2026-10-05T00:00:00Z", bucket: "day" };
+        await getDashboardStats(range);
+        await getDashboardStats(range);
+
+        assert.equal(AuditLog.aggregate.mock.callCount(), 2);
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { createLoginProtection } = require("../middleware/loginProtection");
+const { errorHandler } = require("../middleware/errorHandler");
+
+describe("login protection", () => {
+    let protection;
+    let user;
+
+    beforeEach((t) => {
+        protection = createLoginProtection();
+        user = {
+            _id: new mongoose.Types.ObjectId(),
+            failedLoginAttempts: 0,
+            lockedUntil: null,
+        };
+
+        t.mock.method(User, "findByIdAndUpdate", async (id, update) => {
+            user.failedLoginAttempts += update.$inc.failedLoginAttempts;
+            return { ...user };
+        });
+        t.mock.method(User, "updateOne", async (filter, update) => {
+            Object.assign(user, update.$set);
+        });
+    });
+
+    it("locks the account on the fifth failed password", async () => {
+        for (let attempt = 1; attempt < 5; attempt++) {
+            assert.equal(await protection.registerFailure(user), null);
+        }
+        assert.equal(user.lockedUntil, null);
+
+        const lockedUntil = await protection.registerFailure(user);
+        assert.ok(lockedUntil > new Date());
+        assert.equal(user.lockedUntil, lockedUntil);
+        assert.equal(user.failedLoginAttempts, 0);
+    });
+
+    it("clears failures after a successful login", async () => {
+        await protection.registerFailure(user);
+        await protection.registerSuccess(user);
+
+        assert.equal(user.failedLoginAttempts, 0);
+        assert.equal(user.lockedUntil, null);
+    });
+
+    it("doesn't write on success when there is nothing to clear", async () => {
+        await protection.registerSuccess(user);
+        assert.equal(User.updateOne.mock.callCount(), 0);
+    });
+
+    it("delays attempts progressively after the free ones", async (t) => {
+        const delays = [];
+        t.mock.method(global, "setTimeout", (resolve, ms) => {
+            delays.push(ms);
+            resolve();
+        });
+        const req = { ip: "127.0.0.1" };
+
+        for (const failedLoginAttempts of [0, 2, 3, 4, 10]) {
+            await protection.throttle(req, { failedLoginAttempts });
+        }
+        assert.deepEqual(delays, [500, 1000, 8000]);
+    });
+
+    it("throttles an IP after too many failed attempts", async (t) => {
+        const app = express();
+        app.post("/login", protection.limiter, (req, res) => {
+            res.status(req.query.ok ? 200 : 401).end();
+        });
+        app.use(errorHandler);
+
+        const server = app.listen(0);
+        t.after(() => server.close());
+        const url = `http://127.0.0.1:${server.address().port}/login`;
+
+        for (let attempt = 0; attempt < 20; attempt++) {
+            assert.equal((await fetch(url, { method: "POST" })).status, 401);
+        }
+        // Successful logins don't count, but are refused once over the limit
+        const response = await fetch(`${url}?ok=1`, { method: "POST" });
+        assert.equal(response.status, 429);
+        assert.equal((await response.json()).code, "RATE_LIMITED");
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { applyMergePatch, applyJsonPatch } = require("../utils/patch");
+const { toETag, checkIfMatch, matchVersion } = require("../utils/etag");
+
+const subAdmin = () => ({
+    name: "Sub Admin",
+    roles: ["editor"],
+    permissions: { "colleges:read": true, "data:read": true },
+});
+
+describe("JSON Merge Patch", () => {
+    it("merges objects, removes null keys and replaces everything else", () => {
+        const original = subAdmin();
+        const patched = applyMergePatch(original, {
+            name: "Renamed",
+            roles: ["viewer"],
+            permissions: { "data:read": null, "content:write": true },
+        });
+
+        assert.deepEqual(patched, {
+            name: "Renamed",
+            roles: ["viewer"],
+            permissions: { "colleges:read": true, "content:write": true },
+        });
+        assert.deepEqual(original, subAdmin());
+    });
+
+    it("doesn't let __proto__ keys change the prototype", () => {
+        const patched = applyMergePatch(
+            {},
+            JSON.parse('{"__proto__": {"polluted": true}}')
+        );
+
+        assert.equal(Object.getPrototypeOf(patched), Object.prototype);
+        assert.deepEqual(patched.__proto__, { polluted: true });
+        assert.equal({}.polluted, undefined);
+    });
+});
+
+describe("JSON Patch", () => {
+    it("applies operations in order", () => {
+        const original = subAdmin();
+        const patched = applyJsonPatch(original, [
+            { op: "test", path: "/name", value: "Sub Admin" },
+            { op: "replace", path: "/name", value: "Renamed" },
+            { op: "add", path: "/roles/-", value: "viewer" },
+            { op: "remove", path: "/roles/0" },
+            { op: "remove", path: "/permissions/data:read" },
+            {
+                op: "copy",
+                from: "/permissions/colleges:read",
+                path: "/permissions/content~1write",
+            },
+        ]);
+
+        assert.deepEqual(patched, {
+            name: "Renamed",
+            roles: ["viewer"],
+            permissions: { "colleges:read": true, "content/write": true },
+        });
+        assert.deepEqual(original, subAdmin());
+    });
+
+    it("fails as a whole with a 409 when a test doesn't match", () => {
+        assert.throws(
+            () =>
+                applyJsonPatch(subAdmin(), [
+                    { op: "replace", path: "/name", value: "Renamed" },
+                    { op: "test", path: "/roles", value: ["viewer"] },
+                ]),
+            { status: 409, code: "PATCH_TEST_FAILED" }
+        );
+    });
+
+    it("rejects malformed operations with the failing index", () => {
+        const cases = [
+            [{ op: "remove", path: "/missing" }, "path does not exist"],
+            [
+                { op: "add", path: "/roles/5", value: "x" },
+                "array index out of range",
+            ],
+            [{ op: "replace", path: "/name" }, '"replace" needs a value'],
+            [{ op: "add", path: "name", value: "x" }, 'invalid path "name"'],
+            [{ op: "merge", path: "/name" }, 'unknown operation "merge"'],
+            [
+                { op: "move", from: "/permissions", path: "/permissions/x" },
+                "can't move a value into itself",
+            ],
+        ];
+
+        for (const [operation, message] of cases) {
+            assert.throws(
+                () =>
+                    applyJsonPatch(subAdmin(), [
+                        { op: "test", path: "/name", value: "Sub Admin" },
+                        operation,
+                    ]),
+                {
+                    status: 400,
+                    code: "INVALID_PATCH",
+                    details: {
+                        errors: [{ location: "body", field: "1", message }],
+                    },
+                }
+            );
+        }
+    });
+});
+
+describe("ETag / If-Match", () => {
+    const requestWith = (ifMatch) => ({
+        get: (name) => (name === "if-match" ? ifMatch : undefined),
+    });
+
+    it("uses the version as the ETag", () => {
+        assert.equal(toETag(3), '"3"');
+        assert.equal(toETag(undefined), '"0"');
+    });
+
+    it("accepts requests without If-Match, with the current version or *", () => {
+        assert.doesNotThrow(() => checkIfMatch(requestWith(undefined), 3));
+        assert.doesNotThrow(() => checkIfMatch(requestWith('"3"'), 3));
+        assert.doesNotThrow(() => checkIfMatch(requestWith('"2", "3"'), 3));
+        assert.doesNotThrow(() => checkIfMatch(requestWith("*"), 3));
+    });
+
+    it("fails with a 412 carrying the current ETag when stale", () => {
+        assert.throws(() => checkIfMatch(requestWith('"2"'), 3), {
+            status: 412,
+            code: "PRECONDITION_FAILED",
+            details: { etag: '"3"' },
+        });
+    });
+
+    it("matches documents saved before versioning as version 0", () => {
+        assert.equal(matchVersion(4), 4);
+        assert.deepEqual(matchVersion(0), { $in: [0, null] });
+        assert.deepEqual(matchVersion(undefined), { $in: [0, null] });
+    });
+});
@@ -0,0 +1,140 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { checkPermission } = require("../middleware/rbac");
+const { resolveScopes } = require("../utils/permissions");
+
+const subAdmin = (permissions = {}, permissionScopes = {}) => ({
+    role: "sub-admin",
+    roles: [],
+    permissions,
+    permissionScopes,
+});
+
+// Run a middleware, returning whether it called `next`
+const passes = (middleware, req) => {
+    let called = false;
+    middleware(req, {}, () => {
+        called = true;
+    });
+    return called;
+};
+
+describe("scoped permissions", () => {
+    const collegeFromParams = { resource: (req) => req.params.id };
+
+    it("allows a resource in the caller's scope", () => {
+        const req = {
+            user: subAdmin({}, { "colleges:write": ["c1", "c2"] }),
+            params: { id: "c2" },
+        };
+
+        assert.equal(
+            passes(checkPermission("colleges:write", collegeFromParams), req),
+            true
+        );
+    });
+
+    it("refuses resources outside the caller's scope", () => {
+        const req = {
+            user: subAdmin({}, { "colleges:write": ["c1"] }),
+            params: { id: "c2" },
+        };
+
+        assert.throws(
+            () =>
+                passes(
+                    checkPermission("colleges:write", collegeFromParams),
+                    req
+                ),
+            { status: 403, code: "FORBIDDEN" }
+        );
+    });
+
+    it("doesn't let a scope for one action grant another", () => {
+        const req = {
+            user: subAdmin({}, { "colleges:read": ["c1"] }),
+            params: { id: "c1" },
+        };
+
+        assert.throws(
+            () =>
+                passes(
+                    checkPermission("colleges:write", collegeFromParams),
+                    req
+                ),
+            { status: 403 }
+        );
+    });
+
+    it("matches wildcard scopes", () => {
+        const req = {
+            user: subAdmin({}, { "colleges:*": ["c1"] }),
+            params: { id: "c1" },
+        };
+
+        assert.equal(
+            passes(checkPermission("colleges:write", collegeFromParams), req),
+            true
+        );
+    });
+
+    it("lists the scope on list endpoints", () => {
+        const req = {
+            user: subAdmin(
+                {},
+                { "colleges:read": ["c1"], "colleges:*": ["c2", "c1"] }
+            ),
+        };
+
+        assert.equal(
+            passes(checkPermission("colleges:read", { scoped: true }), req),
+            true
+        );
+        assert.deepEqual(req.permissionScope.sort(), ["c1", "c2"]);
+    });
+
+    it("leaves list endpoints unrestricted for full grants and admins", () => {
+        const sub = { user: subAdmin({ "colleges:read": true }) };
+        const admin = { user: { role: "admin" } };
+
+        for (const req of [sub, admin]) {
+            assert.equal(
+                passes(checkPermission("colleges:read", { scoped: true }), req),
+                true
+            );
+            assert.equal(req.permissionScope, null);
+        }
+    });
+
+    it("refuses list endpoints without any grant", () => {
+        assert.throws(
+            () =>
+                passes(checkPermission("colleges:read", { scoped: true }), {
+                    user: subAdmin(),
+                }),
+            { status: 403 }
+        );
+    });
+
+    it("refuses scoped routes without a resource or scope option", () => {
+        const req = { user: subAdmin({}, { "colleges:read": ["c1"] }) };
+
+        assert.throws(() => passes(checkPermission("colleges:read"), req), {
+            status: 403,
+        });
+    });
+
+    it("resolves scopes for legacy keys and drops those fully granted", () => {
+        const user = {
+            permissionScopes: {
+                collegeManagement: ["c1"],
+                "content:write": ["p1"],
+            },
+        };
+
+        assert.deepEqual(resolveScopes(user, { "colleges:read": true }), {
+            "colleges:write": ["c1"],
+            "content:write": ["p1"],
+        });
+    });
+});
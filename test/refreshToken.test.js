@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const { hashToken } = require("../utils/tokens");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("RefreshToken.rotate", () => {
+    let existing;
+    let revoked;
+
+    beforeEach((t) => {
+        existing = {
+            _id: new mongoose.Types.ObjectId(),
+            user: new mongoose.Types.ObjectId(),
+            session: new mongoose.Types.ObjectId(),
+            expiresAt: new Date(Date.now() + HOUR_MS),
+            replacedBy: null,
+        };
+        revoked = [];
+
+        t.mock.method(RefreshToken, "findOne", async (filter) =>
+            filter.tokenHash === hashToken("current") ? existing : null
+        );
+        t.mock.method(RefreshToken, "create", async (doc) => doc);
+        t.mock.method(RefreshToken, "findOneAndUpdate", async () => existing);
+        t.mock.method(Session, "findActive", async () => ({}));
+        t.mock.method(Session, "extend", async () => {});
+        t.mock.method(Session, "revoke", async (filter, reason) => {
+            revoked.push({ filter, reason });
+        });
+    });
+
+    it("issues a new token in the same session and marks the old one replaced", async () => {
+        const result = await RefreshToken.rotate("current");
+
+        assert.equal(result.session, existing.session);
+        assert.equal(result.user, existing.user);
+        assert.notEqual(result.token, "current");
+
+        const [created] = RefreshToken.create.mock.calls[0].arguments;
+        assert.equal(created.tokenHash, hashToken(result.token));
+        assert.equal(created.session, existing.session);
+
+        const [filter, update] =
+            RefreshToken.findOneAndUpdate.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: existing._id, replacedBy: null });
+        assert.equal(update.$set.replacedBy, hashToken(result.token));
+
+        assert.deepEqual(Session.extend.mock.calls[0].arguments, [
+            existing.session,
+            result.expiresAt,
+        ]);
+        assert.deepEqual(revoked, []);
+    });
+
+    it("returns null for an unknown token", async () => {
+        assert.equal(await RefreshToken.rotate("unknown"), null);
+        assert.equal(RefreshToken.create.mock.callCount(), 0);
+    });
+
+    it("revokes the whole session when a rotated token is reused", async () => {
+        existing.replacedBy = hashToken("next");
+
+        assert.equal(await RefreshToken.rotate("current"), null);
+        assert.deepEqual(revoked, [
+            { filter: { _id: existing.session }, reason: "token-reuse" },
+        ]);
+        assert.equal(RefreshToken.create.mock.callCount(), 0);
+    });
+
+    it("revokes the session when a concurrent refresh claimed the token first", async () => {
+        RefreshToken.findOneAndUpdate.mock.mockImplementation(async () => null);
+
+        assert.equal(await RefreshToken.rotate("current"), null);
+        assert.deepEqual(revoked, [
+            { filter: { _id: existing.session }, reason: "token-reuse" },
+        ]);
+        assert.equal(Session.extend.mock.callCount(), 0);
+    });
+
+    it("refuses expired tokens", async () => {
+        existing.expiresAt = new Date(Date.now() - 1000);
+
+        assert.equal(await RefreshToken.rotate("current"), null);
+        assert.equal(RefreshToken.create.mock.callCount(), 0);
+        assert.deepEqual(revoked, []);
+    });
+
+    it("refuses tokens whose session was revoked", async () => {
+        Session.findActive.mock.mockImplementation(async () => null);
+
+        assert.equal(await RefreshToken.rotate("current"), null);
+        assert.equal(RefreshToken.create.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../models/User");
+const {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+} = require("../utils/totp");
+
+// The SHA-1 secret from RFC 6238 appendix B ("12345678901234567890")
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const STEP_MS = 30 * 1000;
+
+describe("TOTP", () => {
+    it("matches the RFC 6238 test vectors", () => {
+        assert.equal(generateCode(RFC_SECRET, 59 * 1000), "287082");
+        assert.equal(generateCode(RFC_SECRET, 1111111109 * 1000), "081804");
+        assert.equal(generateCode(RFC_SECRET, 1234567890 * 1000), "005924");
+    });
+
+    it("accepts a code from one step either side and returns its step", () => {
+        const now = 1111111109 * 1000;
+        const step = Math.floor(now / STEP_MS);
+
+        assert.equal(verifyCode(RFC_SECRET, "081804", { now }), step);
+        assert.equal(
+            verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now - STEP_MS), {
+                now,
+            }),
+            step - 1
+        );
+        assert.equal(
+            verifyCode(RFC_SECRET, generateCode(RFC_SECRET, now + STEP_MS), {
+                now,
+            }),
+            step + 1
+        );
+        assert.equal(
+            verifyCode(
+                RFC_SECRET,
+                generateCode(RFC_SECRET, now - 2 * STEP_MS),
+                { now }
+            ),
+            null
+        );
+    });
+
+    it("ignores spaces and rejects malformed codes", () => {
+        const now = 59 * 1000;
+
+        assert.equal(verifyCode(RFC_SECRET, "287 082", { now }), 1);
+        assert.equal(verifyCode(RFC_SECRET, "28708", { now }), null);
+        assert.equal(verifyCode(RFC_SECRET, "28708a", { now }), null);
+        assert.equal(verifyCode(RFC_SECRET, undefined, { now }), null);
+    });
+
+    it("generates 160-bit base32 secrets", () => {
+        const secret = generateSecret();
+
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.notEqual(secret, generateSecret());
+        assert.notEqual(verifyCode(secret, generateCode(secret)), null);
+    });
+
+    it("builds otpauth URIs for authenticator apps", () => {
+        const uri = new URL(
+            buildOtpauthUri({
+                secret: RFC_SECRET,
+                account: "admin@example.com",
+                issuer: "Admin System",
+            })
+        );
+
+        assert.equal(uri.protocol, "otpauth:");
+        assert.equal(uri.host, "totp");
+        assert.equal(
+            decodeURIComponent(uri.pathname),
+            "/Admin System:admin@example.com"
+        );
+        assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+        assert.equal(uri.searchParams.get("issuer"), "Admin System");
+        assert.equal(uri.searchParams.get("digits"), "6");
+        assert.equal(uri.searchParams.get("period"), "30");
+    });
+
+    it("only accepts each time step once per user", async (t) => {
+        const user = new User({ twoFactor: { secret: generateSecret() } });
+        let lastUsedStep;
+        t.mock.method(User, "updateOne", async (filter, update) => {
+            const step = update.$set["twoFactor.lastUsedStep"];
+            if (lastUsedStep !== undefined && lastUsedStep >= step) {
+                return { modifiedCount: 0 };
+            }
+            lastUsedStep = step;
+            return { modifiedCount: 1 };
+        });
+
+        const code = generateCode(user.twoFactor.secret);
+        assert.equal(await user.verifyTwoFactorCode(code), true);
+        assert.equal(await user.verifyTwoFactorCode(code), false);
+        const stale = generateCode(
+            user.twoFactor.secret,
+            Date.now() - 10 * STEP_MS
+        );
+        assert.equal(await user.verifyTwoFactorCode(stale), false);
+    });
+});
@@ -0,0 +1,174 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { validate } = require("../middleware/validate");
+const { requestId } = require("../middleware/requestId");
+const { errorHandler } = require("../middleware/errorHandler");
+const { parseSort } = require("../utils/query");
+const {
+    PasswordPolicyError,
+    checkPasswordPolicy,
+} = require("../utils/passwordPolicy");
+const {
+    UpdateCollege,
+    CollegeParams,
+    CollegeListQuery,
+} = require("../schemas/colleges");
+
+const COLLEGE_ID = "64b7f0c2a1b2c3d4e5f60718";
+
+describe("request validation", () => {
+    let server;
+    let baseUrl;
+
+    before(() => {
+        const app = express();
+        app.use(requestId);
+        app.use(express.json());
+        app.get(
+            "/colleges",
+            validate({ query: CollegeListQuery }),
+            (req, res) => res.json(req.query)
+        );
+        app.put(
+            "/colleges/:id",
+            validate({ params: CollegeParams, body: UpdateCollege }),
+            (req, res) => res.json({ params: req.params, body: req.body })
+        );
+        app.post("/password", (req, res) => {
+            throw new PasswordPolicyError(
+                checkPasswordPolicy(req.body.password)
+            );
+        });
+        app.use(errorHandler);
+
+        server = app.listen(0);
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    const put = (path, body) =>
+        fetch(`${baseUrl}${path}`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: typeof body === "string" ? body : JSON.stringify(body),
+        });
+
+    it("reports every problem with its location and field", async () => {
+        const response = await put("/colleges/not-an-id", {
+            studentCount: -1,
+            founded: 1990,
+        });
+        const body = await response.json();
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(body, {
+            message: "Validation failed",
+            code: "VALIDATION_FAILED",
+            errors: [
+                {
+                    location: "params",
+                    field: "id",
+                    message: "must be a valid ID",
+                },
+                {
+                    location: "body",
+                    field: "studentCount",
+                    message: "must be at least 0",
+                },
+                {
+                    location: "body",
+                    field: "founded",
+                    message: "is not allowed",
+                },
+            ],
+            requestId: response.headers.get("x-request-id"),
+        });
+    });
+
+    it("passes validated values on to the route", async () => {
+        const response = await put(`/colleges/${COLLEGE_ID}`, {
+            studentCount: 10,
+        });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), {
+            params: { id: COLLEGE_ID },
+            body: { studentCount: 10 },
+        });
+    });
+
+    it("converts query strings and fills in defaults", async () => {
+        const response = await fetch(`${baseUrl}/colleges?page=2`);
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), {
+            sort: "name",
+            page: 2,
+            limit: 20,
+        });
+    });
+
+    it("rejects repeated query params", async () => {
+        const response = await fetch(
+            `${baseUrl}/colleges?sort=name&sort=-name`
+        );
+        const body = await response.json();
+
+        assert.equal(response.status, 400);
+        assert.equal(body.code, "VALIDATION_FAILED");
+        assert.deepEqual(
+            body.errors.map(({ location, field }) => ({ location, field })),
+            [{ location: "query", field: "sort" }]
+        );
+    });
+
+    it("keeps the same shape for malformed JSON", async () => {
+        const response = await put(`/colleges/${COLLEGE_ID}`, "{");
+        const body = await response.json();
+
+        assert.equal(response.status, 400);
+        assert.equal(body.code, "INVALID_JSON");
+        assert.equal(body.message, "Request body is not valid JSON");
+        assert.equal(body.requestId, response.headers.get("x-request-id"));
+    });
+
+    it("reports password policy failures in the same shape", async () => {
+        const response = await fetch(`${baseUrl}/password`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ password: "password1!" }),
+        });
+        const body = await response.json();
+
+        assert.equal(response.status, 400);
+        assert.equal(body.code, "PASSWORD_POLICY");
+        assert.deepEqual(body.errors, [
+            {
+                location: "body",
+                field: "password",
+                rule: "uppercase",
+                message: "Password must contain an uppercase letter",
+            },
+        ]);
+    });
+
+    it("returns the client's request ID when it looks sane", async () => {
+        const response = await fetch(`${baseUrl}/colleges?page=0`, {
+            headers: { "X-Request-Id": "client-123" },
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).requestId, "client-123");
+    });
+
+    it("refuses repeated sort params where sorting is parsed by hand", () => {
+        assert.deepEqual(parseSort(["name", "-name"], ["name"], "name"), {
+            error: "'sort' must be a single field",
+        });
+        assert.deepEqual(parseSort(undefined, ["name"], "-name"), {
+            sort: { name: -1 },
+        });
+    });
+});
@@ -0,0 +1,82 @@
+const AuditLog = require("../models/AuditLog");
+const { logger } = require("./logger");
+
+// Fields of a user worth tracking in the audit trail
+const snapshotUser = (user) => {
+    const permissions =
+        user.permissions instanceof Map
+            ? Object.fromEntries(user.permissions)
+            : user.permissions || {};
+
+    return {
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        roles: (user.roles || []).map((role) => String(role._id || role)),
+        permissions: { ...permissions },
+        permissionScopes:
+            user.permissionScopes instanceof Map
+                ? Object.fromEntries(user.permissionScopes)
+                : { ...user.permissionScopes },
+    };
+};
+
+// Keep only the fields that differ between two snapshots. Permissions are
+// compared key by key so the log shows exactly which flags changed.
+const diff = (before = {}, after = {}) => {
+    const changes = { before: {}, after: {} };
+
+    const flatten = (snapshot) => {
+        const flat = { ...snapshot };
+        if (snapshot.permissions) {
+            delete flat.permissions;
+            for (const [key, value] of Object.entries(snapshot.permissions)) {
+                flat[`permissions.${key}`] = value;
+            }
+        }
+        return flat;
+    };
+
+    const flatBefore = flatten(before);
+    const flatAfter = flatten(after);
+
+    for (const key of new Set([
+        ...Object.keys(flatBefore),
+        ...Object.keys(flatAfter),
+    ])) {
+        if (JSON.stringify(flatBefore[key]) !== JSON.stringify(flatAfter[key])) {
+            changes.before[key] = flatBefore[key];
+            changes.after[key] = flatAfter[key];
+        }
+    }
+
+    return changes;
+};
+
+// Record an audit entry for the current request (or `null` for background
+// jobs). Failures are logged rather than thrown so auditing never breaks the
+// action being audited.
+const recordAudit = async (
+    req,
+    { action, actor = req?.user, target, before, after, metadata }
+) => {
+    try {
+        await AuditLog.create({
+            actor: actor && {
+                id: actor.id || actor._id,
+                email: actor.email,
+                role: actor.role,
+            },
+            action,
+            target,
+            changes: before || after ? diff(before, after) : undefined,
+            metadata,
+            ip: req?.ip,
+            userAgent: req?.get("user-agent"),
+        });
+    } catch (error) {
+        logger.error(`Failed to record audit entry '${action}':`, error);
+    }
+};
+
+module.exports = { recordAudit, snapshotUser, diff };
@@ -0,0 +1,42 @@
+// Minimal in-memory cache with per-entry expiry
+class TtlCache {
+    constructor({ ttl = 30000, maxEntries = 10000 } = {}) {
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        return entry.value;
+    }
+
+    set(key, value) {
+        // A TTL of 0 disables caching entirely
+        if (this.ttl <= 0) return;
+
+        // Evict the oldest entry once full (Map keeps insertion order)
+        if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = TtlCache;
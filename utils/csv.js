@@ -0,0 +1,106 @@
+// Escape a value for CSV, neutralising spreadsheet formula injection
+const escapeCsv = (value) => {
+    if (value === undefined || value === null) return "";
+
+    let text =
+        value instanceof Date
+            ? value.toISOString()
+            : typeof value === "object"
+              ? JSON.stringify(value)
+              : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialise rows to CSV. `columns` is a list of `{ header, value(row) }`.
+const toCsv = (rows, columns) => {
+    const lines = [columns.map((column) => escapeCsv(column.header)).join(",")];
+
+    for (const row of rows) {
+        lines.push(
+            columns.map((column) => escapeCsv(column.value(row))).join(",")
+        );
+    }
+
+    return lines.join("\r\n") + "\r\n";
+};
+
+// Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF)
+// into an array of `{ line, cells }` rows: the 1-based line each row starts
+// on, counting skipped blank lines, and its field strings
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    // Ignore a byte order mark left by spreadsheet exports
+    const input = text.replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                // Line breaks inside quoted fields still start a new line
+                if (char === "\n" || (char === "\r" && input[i + 1] !== "\n")) {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            field = "";
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error("Unterminated quoted field");
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push({ line: rowLine, cells: row });
+    }
+
+    // Skip blank lines
+    return rows.filter(({ cells }) => cells.some((cell) => cell.trim()));
+};
+
+// Parse CSV with a header row into `{ line, fields }` records, with `fields`
+// keyed by (trimmed) header
+const parseCsvRecords = (text) => {
+    const [header = { cells: [] }, ...rows] = parseCsv(text);
+    const keys = header.cells.map((key) => key.trim());
+
+    return rows.map(({ line, cells }) => ({
+        line,
+        fields: Object.fromEntries(
+            keys.map((key, i) => [key, (cells[i] ?? "").trim()])
+        ),
+    }));
+};
+
+module.exports = { toCsv, escapeCsv, parseCsv, parseCsvRecords };
@@ -0,0 +1,205 @@
+const User = require("../models/User");
+const College = require("../models/College");
+const Content = require("../models/Content");
+const AuditLog = require("../models/AuditLog");
+const TtlCache = require("./cache");
+const { parseDateRange } = require("./query");
+
+// How long computed statistics are reused. 0 disables caching; a missing or
+// non-numeric value uses the default.
+const configuredTtl = Number(process.env.DASHBOARD_CACHE_TTL_MS || NaN);
+const DASHBOARD_CACHE_TTL_MS = Number.isNaN(configuredTtl)
+    ? 60000
+    : configuredTtl;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const BUCKETS = ["day", "week"];
+const RECENT_ACTIVITY_LIMIT = 10;
+
+const cache = new TtlCache({ ttl: DASHBOARD_CACHE_TTL_MS, maxEntries: 100 });
+
+// Start of the UTC day or ISO week (Monday) containing `date`
+const truncate = (date, bucket) => {
+    const day = new Date(
+        Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+    );
+    if (bucket === "week") {
+        day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    }
+    return day;
+};
+
+// Every bucket start between two dates, so empty buckets show as zero
+const bucketStarts = (from, to, bucket) => {
+    const starts = [];
+    const step = bucket === "week" ? 7 : 1;
+    for (
+        let start = truncate(from, bucket);
+        start <= to;
+        start = new Date(start.getTime() + step * DAY_MS)
+    ) {
+        starts.push(start);
+    }
+    return starts;
+};
+
+// Add up `[{ _id: { day, action }, count }]` per bucket start and action, as
+// `{ "<bucket time>|<action>": count }`. Grouping by day in the database and
+// by week here avoids `$dateTrunc`, which needs MongoDB 5.0.
+const countsByBucket = (groups, bucket) => {
+    const counts = {};
+    for (const { _id, count } of groups) {
+        const start = truncate(new Date(_id.day), bucket);
+        const key = `${start.getTime()}|${_id.action}`;
+        counts[key] = (counts[key] || 0) + count;
+    }
+    return counts;
+};
+
+// Turn `[{ _id: value, count }]` into `{ value: count }`
+const countsBy = (groups) =>
+    Object.fromEntries(groups.map((group) => [group._id, group.count]));
+
+// Parse `from`, `to` and `bucket` from the query string, defaulting to the
+// last 30 days by day. Returns `{ range }` or `{ error }`.
+const parseStatsQuery = (query) => {
+    const bucket = query.bucket || "day";
+    if (!BUCKETS.includes(bucket)) {
+        return { error: `Bucket must be one of: ${BUCKETS.join(", ")}` };
+    }
+
+    const { condition = {}, error } = parseDateRange(query, "from", "to");
+    if (error) return { error };
+
+    const to = condition.$lte || new Date();
+    const from =
+        condition.$gte || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (from > to) {
+        return { error: "'from' must be before 'to'" };
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+        return { error: `Range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { range: { from, to, bucket } };
+};
+
+const computeStats = async ({ from, to, bucket }) => {
+    const inRange = { createdAt: { $gte: from, $lte: to } };
+    const loginActions = ["auth.login", "auth.login.failed"];
+
+    const [
+        usersByRole,
+        usersByStatus,
+        newUsers,
+        loginSeries,
+        activeUsers,
+        activityCount,
+        recentActivity,
+        contentByStatus,
+        colleges,
+    ] = await Promise.all([
+        User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+        User.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+        User.countDocuments(inRange),
+        AuditLog.aggregate([
+            { $match: { ...inRange, action: { $in: loginActions } } },
+            {
+                $group: {
+                    _id: {
+                        day: {
+                            $dateToString: {
+                                format: "%Y-%m-%d",
+                                date: "$createdAt",
+                            },
+                        },
+                        action: "$action",
+                    },
+                    count: { $sum: 1 },
+                },
+            },
+        ]),
+        AuditLog.distinct("actor.id", { ...inRange, action: "auth.login" }),
+        AuditLog.countDocuments({ ...inRange, action: { $not: /^auth\./ } }),
+        AuditLog.find({ action: { $not: /^auth\./ } })
+            .select("action actor.email target createdAt")
+            .sort({ createdAt: -1 })
+            .limit(RECENT_ACTIVITY_LIMIT)
+            .lean(),
+        Content.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+        College.aggregate([
+            {
+                $group: {
+                    _id: null,
+                    count: { $sum: 1 },
+                    students: { $sum: "$studentCount" },
+                },
+            },
+        ]),
+    ]);
+
+    const loginCounts = countsByBucket(loginSeries, bucket);
+    const series = bucketStarts(from, to, bucket).map((start) => {
+        const count = (action) =>
+            loginCounts[`${start.getTime()}|${action}`] || 0;
+
+        return {
+            bucket: start,
+            successful: count("auth.login"),
+            failed: count("auth.login.failed"),
+        };
+    });
+
+    const total = (groups) =>
+        groups.reduce((sum, group) => sum + group.count, 0);
+
+    return {
+        range: { from, to, bucket },
+        users: {
+            total: total(usersByRole),
+            byRole: countsBy(usersByRole),
+            byStatus: countsBy(usersByStatus),
+            new: newUsers,
+            active: activeUsers.length,
+        },
+        logins: {
+            successful: series.reduce((sum, b) => sum + b.successful, 0),
+            failed: series.reduce((sum, b) => sum + b.failed, 0),
+            series,
+        },
+        activity: {
+            total: activityCount,
+            recent: recentActivity,
+        },
+        content: {
+            total: total(contentByStatus),
+            byStatus: countsBy(contentByStatus),
+        },
+        colleges: {
+            total: colleges[0]?.count || 0,
+            students: colleges[0]?.students || 0,
+        },
+        generatedAt: new Date(),
+    };
+};
+
+// Dashboard statistics for the query's range, reused for a short while.
+// Entries are keyed by the raw query, so the default "last 30 days" range
+// moves forward as cached entries expire.
+const getDashboardStats = async (query) => {
+    const { range, error } = parseStatsQuery(query);
+    if (error) return { error };
+
+    const key = [query.from, query.to, range.bucket].join("|");
+    const cached = cache.get(key);
+    if (cached) return { stats: cached };
+
+    const stats = await computeStats(range);
+    cache.set(key, stats);
+
+    return { stats };
+};
+
+module.exports = { BUCKETS, getDashboardStats };
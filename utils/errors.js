@@ -0,0 +1,89 @@
+// Errors with an HTTP status and a stable, machine-readable `code`. Throw them
+// from routes and middleware; middleware/errorHandler.js turns them into
+// `{ message, code, requestId, ...details }` responses.
+//
+// Codes clients can rely on, besides each class's default:
+// - 400 INVALID_ID, INVALID_JSON, INVALID_PATCH, INVALID_TOKEN,
+//   PASSWORD_POLICY
+// - 401 INVALID_CREDENTIALS, INVALID_TOKEN, INVALID_API_KEY, SESSION_REVOKED,
+//   ACCOUNT_INACTIVE
+// - 403 INVALID_TOKEN, PASSWORD_CHANGE_REQUIRED, TWO_FACTOR_SETUP_REQUIRED,
+//   ACCOUNT_SUSPENDED
+// - 409 DUPLICATE_KEY, EDIT_CONFLICT, PATCH_TEST_FAILED
+// - 415 UNSUPPORTED_MEDIA_TYPE, 423 ACCOUNT_LOCKED, 429 RATE_LIMITED,
+//   500 INTERNAL_ERROR
+
+class HttpError extends Error {
+    // `details` are extra fields for the response body
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// The subclasses take a message and optional `{ code, ...details }`
+class ValidationError extends HttpError {
+    constructor(
+        message = "Validation failed",
+        { code = "VALIDATION_FAILED", ...details } = {}
+    ) {
+        super(400, code, message, details);
+    }
+}
+
+class UnauthorizedError extends HttpError {
+    constructor(
+        message = "Authentication required",
+        { code = "UNAUTHORIZED", ...details } = {}
+    ) {
+        super(401, code, message, details);
+    }
+}
+
+class ForbiddenError extends HttpError {
+    constructor(
+        message = "Access denied",
+        { code = "FORBIDDEN", ...details } = {}
+    ) {
+        super(403, code, message, details);
+    }
+}
+
+class NotFoundError extends HttpError {
+    constructor(
+        message = "Not found",
+        { code = "NOT_FOUND", ...details } = {}
+    ) {
+        super(404, code, message, details);
+    }
+}
+
+class ConflictError extends HttpError {
+    constructor(message = "Conflict", { code = "CONFLICT", ...details } = {}) {
+        super(409, code, message, details);
+    }
+}
+
+// An `If-Match` precondition no longer holds: the resource changed since the
+// client read it
+class PreconditionFailedError extends HttpError {
+    constructor(
+        message = "Precondition failed",
+        { code = "PRECONDITION_FAILED", ...details } = {}
+    ) {
+        super(412, code, message, details);
+    }
+}
+
+module.exports = {
+    HttpError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+};
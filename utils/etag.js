@@ -0,0 +1,27 @@
+// Optimistic concurrency for documents with a `version` counter. The version
+// is sent as the `ETag`; clients send it back in `If-Match` so that a write
+// based on a stale read fails with a 412 instead of silently overwriting
+// someone else's changes.
+const { PreconditionFailedError } = require("./errors");
+
+const toETag = (version) => `"${version ?? 0}"`;
+
+// Throw unless the request's `If-Match`, when sent, names the version
+const checkIfMatch = (req, version) => {
+    const header = req.get("if-match");
+    if (!header) return;
+
+    const tags = header.split(",").map((tag) => tag.trim());
+    if (!tags.includes("*") && !tags.includes(toETag(version))) {
+        throw new PreconditionFailedError(
+            "Changed by someone else since you loaded it; reload and retry",
+            { etag: toETag(version) }
+        );
+    }
+};
+
+// Condition matching documents still at `version`. Documents saved before
+// versioning have no `version` yet.
+const matchVersion = (version) => (version ? version : { $in: [0, null] });
+
+module.exports = { toETag, checkIfMatch, matchVersion };
@@ -0,0 +1,26 @@
+const OneTimeToken = require("../models/OneTimeToken");
+const { sendMail } = require("./mailer");
+
+const INVITE_TOKEN_TTL_HOURS = Number(process.env.INVITE_TOKEN_TTL_HOURS) || 72;
+
+// Issue a fresh invite token (revoking earlier ones) and email it
+const sendInvite = async (user, invitedBy) => {
+    const token = await OneTimeToken.issue(
+        user._id,
+        "invite",
+        INVITE_TOKEN_TTL_HOURS * 60
+    );
+    const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+
+    await sendMail({
+        to: user.email,
+        subject: "You've been invited as a sub-admin",
+        text:
+            `${invitedBy.name || invitedBy.email} invited you to the admin panel.\n\n` +
+            `Set your password using the link below. It expires in ` +
+            `${INVITE_TOKEN_TTL_HOURS} hours and can only be used once.\n\n` +
+            `${clientUrl}/accept-invite?token=${token}`,
+    });
+};
+
+module.exports = { sendInvite };
@@ -0,0 +1,19 @@
+const { AsyncLocalStorage } = require("node:async_hooks");
+
+// Holds `{ requestId }` for the request being handled (set by
+// middleware/requestId.js), so every line logged while handling it can be
+// matched with the response
+const requestContext = new AsyncLocalStorage();
+
+const prefix = () => {
+    const requestId = requestContext.getStore()?.requestId;
+    return requestId ? [`[${requestId}]`] : [];
+};
+
+const logger = {
+    info: (...args) => console.log(...prefix(), ...args),
+    warn: (...args) => console.warn(...prefix(), ...args),
+    error: (...args) => console.error(...prefix(), ...args),
+};
+
+module.exports = { logger, requestContext };
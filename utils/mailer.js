@@ -0,0 +1,45 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Mail settings (store in .env file)
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+const MAIL_FROM = process.env.MAIL_FROM || "no-reply@localhost";
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || "tmp/mail";
+
+// Development transport: print the message to the console
+const consoleTransport = {
+    send: async (message) => {
+        console.log(
+            `--- Mail to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n---`
+        );
+    },
+};
+
+// Development transport: write each message to a JSON file
+const fileTransport = {
+    send: async (message) => {
+        await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+        const file = path.join(
+            MAIL_FILE_DIR,
+            `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`
+        );
+        await fs.writeFile(file, JSON.stringify(message, null, 2));
+    },
+};
+
+const transports = { console: consoleTransport, file: fileTransport };
+
+let transport = transports[MAIL_TRANSPORT];
+if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT '${MAIL_TRANSPORT}'`);
+}
+
+// Plug in a different transport (e.g. SMTP); it only needs `send(message)`
+const setTransport = (custom) => {
+    transport = custom;
+};
+
+const sendMail = ({ to, subject, text }) =>
+    transport.send({ from: MAIL_FROM, to, subject, text });
+
+module.exports = { sendMail, setTransport };
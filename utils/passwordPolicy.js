@@ -0,0 +1,97 @@
+const { ValidationError } = require("./errors");
+
+// Password policy settings (store in .env file)
+const flag = (value, fallback) =>
+    value === undefined ? fallback : !["false", "0"].includes(value);
+
+const PASSWORD_POLICY = {
+    minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+    // bcrypt ignores everything past 72 bytes
+    maxLength: 72,
+    requireLowercase: flag(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+    requireUppercase: flag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+    requireDigit: flag(process.env.PASSWORD_REQUIRE_DIGIT, true),
+    requireSymbol: flag(process.env.PASSWORD_REQUIRE_SYMBOL, true),
+    // Number of recent passwords (including the current one) that can't be reused
+    history: Number(process.env.PASSWORD_HISTORY ?? 5),
+};
+
+// bcrypt cost factor; existing hashes are upgraded at login when it increases
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 12;
+
+// Responds with 400 and the broken rules as `errors`, shaped like request
+// validation errors plus the `rule` each one breaks
+class PasswordPolicyError extends ValidationError {
+    constructor(violations) {
+        super("Password does not meet the password policy", {
+            code: "PASSWORD_POLICY",
+            errors: violations.map(({ rule, message }) => ({
+                location: "body",
+                field: "password",
+                rule,
+                message,
+            })),
+        });
+        this.violations = violations;
+    }
+}
+
+// Check a plaintext password against the policy, returning every rule it breaks.
+// `user` provides the name and email the password must not contain.
+const checkPasswordPolicy = (password, user = {}) => {
+    const violations = [];
+    const add = (rule, message) => violations.push({ rule, message });
+
+    if (typeof password !== "string" || !password) {
+        add("required", "Password is required");
+        return violations;
+    }
+
+    if (password.length < PASSWORD_POLICY.minLength) {
+        add(
+            "minLength",
+            `Password must be at least ${PASSWORD_POLICY.minLength} characters long`
+        );
+    }
+    if (Buffer.byteLength(password) > PASSWORD_POLICY.maxLength) {
+        add(
+            "maxLength",
+            `Password must be at most ${PASSWORD_POLICY.maxLength} bytes long`
+        );
+    }
+    if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(password)) {
+        add("lowercase", "Password must contain a lowercase letter");
+    }
+    if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+        add("uppercase", "Password must contain an uppercase letter");
+    }
+    if (PASSWORD_POLICY.requireDigit && !/\d/.test(password)) {
+        add("digit", "Password must contain a digit");
+    }
+    if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        add("symbol", "Password must contain a symbol");
+    }
+
+    // Short fragments would reject too many reasonable passwords
+    const lowered = password.toLowerCase();
+    const personal = [
+        ...String(user.name || "")
+            .toLowerCase()
+            .split(/\s+/),
+        String(user.email || "")
+            .toLowerCase()
+            .split("@")[0],
+    ].filter((part) => part.length >= 3);
+    if (personal.some((part) => lowered.includes(part))) {
+        add("personalInfo", "Password must not contain your name or email");
+    }
+
+    return violations;
+};
+
+module.exports = {
+    PASSWORD_POLICY,
+    BCRYPT_ROUNDS,
+    PasswordPolicyError,
+    checkPasswordPolicy,
+};
@@ -0,0 +1,220 @@
+// Partial updates of plain JSON documents: JSON Merge Patch (RFC 7396) and
+// JSON Patch (RFC 6902). Both return a patched copy and leave the original
+// untouched.
+const { ValidationError, ConflictError } = require("./errors");
+
+const MERGE_PATCH_TYPE = "application/merge-patch+json";
+const JSON_PATCH_TYPE = "application/json-patch+json";
+
+const isObject = (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Assign without triggering the `__proto__` setter for hostile keys
+const assign = (target, key, value) =>
+    Object.defineProperty(target, key, {
+        value,
+        enumerable: true,
+        writable: true,
+        configurable: true,
+    });
+
+// Objects in the patch are merged into the target, `null` removes a key and
+// anything else replaces it
+const applyMergePatch = (target, patch) => {
+    if (!isObject(patch)) return structuredClone(patch);
+
+    const result = isObject(target) ? structuredClone(target) : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            assign(result, key, applyMergePatch(result[key], value));
+        }
+    }
+    return result;
+};
+
+// Deep equality of JSON values, ignoring key order
+const isEqual = (a, b) => {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return (
+            Array.isArray(a) &&
+            Array.isArray(b) &&
+            a.length === b.length &&
+            a.every((item, i) => isEqual(item, b[i]))
+        );
+    }
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a);
+        return (
+            keys.length === Object.keys(b).length &&
+            keys.every(
+                (key) => Object.hasOwn(b, key) && isEqual(a[key], b[key])
+            )
+        );
+    }
+    return a === b;
+};
+
+const invalidOperation = (index, message) =>
+    new ValidationError("Invalid patch", {
+        code: "INVALID_PATCH",
+        errors: [{ location: "body", field: String(index), message }],
+    });
+
+// "/permissions/data~1read" -> ["permissions", "data/read"]
+const parsePointer = (pointer, index) => {
+    if (pointer === "") return [];
+    if (typeof pointer !== "string" || !pointer.startsWith("/")) {
+        throw invalidOperation(index, `invalid path "${pointer}"`);
+    }
+    return pointer
+        .slice(1)
+        .split("/")
+        .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+// Resolve every token but the last, returning the container and the key the
+// last token refers to. For arrays that's an index, where "-" appends.
+const locate = (document, tokens, index, { adding = false } = {}) => {
+    let container = document;
+    for (const token of tokens.slice(0, -1)) {
+        container = Object.hasOwn(container ?? {}, token)
+            ? container[token]
+            : undefined;
+        if (typeof container !== "object" || container === null) {
+            throw invalidOperation(index, "path does not exist");
+        }
+    }
+
+    const key = tokens[tokens.length - 1];
+    if (Array.isArray(container)) {
+        if (adding && key === "-") {
+            return { container, key: container.length };
+        }
+        const last = adding ? container.length : container.length - 1;
+        if (!/^(0|[1-9]\d*)$/.test(key) || Number(key) > last) {
+            throw invalidOperation(index, "array index out of range");
+        }
+        return { container, key: Number(key) };
+    }
+    if (!adding && !Object.hasOwn(container, key)) {
+        throw invalidOperation(index, "path does not exist");
+    }
+
+    return { container, key };
+};
+
+const read = (document, tokens, index) => {
+    if (!tokens.length) return document;
+    const { container, key } = locate(document, tokens, index);
+    return container[key];
+};
+
+const add = (document, tokens, value, index) => {
+    if (!tokens.length) return value;
+    const { container, key } = locate(document, tokens, index, {
+        adding: true,
+    });
+    if (Array.isArray(container)) {
+        container.splice(key, 0, value);
+    } else {
+        assign(container, key, value);
+    }
+    return document;
+};
+
+const remove = (document, tokens, index) => {
+    if (!tokens.length) {
+        throw invalidOperation(index, "can't remove the whole document");
+    }
+    const { container, key } = locate(document, tokens, index);
+    if (Array.isArray(container)) {
+        container.splice(key, 1);
+    } else {
+        delete container[key];
+    }
+    return document;
+};
+
+// Apply a list of `{ op, path, value, from }` operations in order. Fails as a
+// whole with a 400 for a malformed operation or path, or a 409 when a `test`
+// operation doesn't match.
+const applyJsonPatch = (target, operations) => {
+    let document = structuredClone(target);
+
+    operations.forEach((operation, index) => {
+        const path = parsePointer(operation.path, index);
+        const requireValue = () => {
+            if (operation.value === undefined) {
+                throw invalidOperation(
+                    index,
+                    `"${operation.op}" needs a value`
+                );
+            }
+            return structuredClone(operation.value);
+        };
+
+        switch (operation.op) {
+            case "add":
+                document = add(document, path, requireValue(), index);
+                break;
+            case "remove":
+                document = remove(document, path, index);
+                break;
+            case "replace": {
+                const value = requireValue();
+                if (!path.length) {
+                    document = value;
+                    break;
+                }
+                const { container, key } = locate(document, path, index);
+                assign(container, key, value);
+                break;
+            }
+            case "move":
+            case "copy": {
+                const from = parsePointer(operation.from, index);
+                if (
+                    operation.op === "move" &&
+                    path.length > from.length &&
+                    from.every((token, i) => path[i] === token)
+                ) {
+                    throw invalidOperation(
+                        index,
+                        "can't move a value into itself"
+                    );
+                }
+                const value = structuredClone(read(document, from, index));
+                if (operation.op === "move") {
+                    document = remove(document, from, index);
+                }
+                document = add(document, path, value, index);
+                break;
+            }
+            case "test":
+                if (!isEqual(read(document, path, index), requireValue())) {
+                    throw new ConflictError(
+                        `Test failed at operation ${index}`,
+                        { code: "PATCH_TEST_FAILED" }
+                    );
+                }
+                break;
+            default:
+                throw invalidOperation(
+                    index,
+                    `unknown operation "${operation.op}"`
+                );
+        }
+    });
+
+    return document;
+};
+
+module.exports = {
+    MERGE_PATCH_TYPE,
+    JSON_PATCH_TYPE,
+    applyMergePatch,
+    applyJsonPatch,
+    isEqual,
+};
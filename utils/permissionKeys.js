@@ -0,0 +1,89 @@
+// Permission keys are `resource:action` (e.g. `colleges:write`). Grants may
+// use wildcards: `colleges:*`, `*:read` or `*` for everything.
+
+// Boolean permissions from before `resource:action` keys, and what each one
+// grants. They keep working in roles, direct grants and checkPermission.
+const LEGACY_PERMISSIONS = {
+    dashboard: ["dashboard:read"],
+    viewColleges: ["colleges:read"],
+    collegeManagement: ["colleges:read", "colleges:write"],
+    contentEditing: ["content:read", "content:write"],
+    contentPublishing: ["content:read", "content:publish"],
+    viewData: ["data:read"],
+};
+
+const WILDCARD_PATTERN = /^(\*|[a-zA-Z][\w-]*):(\*|[a-zA-Z][\w-]*)$/;
+
+const isLegacyPermission = (key) => Object.hasOwn(LEGACY_PERMISSIONS, key);
+
+const isWildcard = (key) =>
+    key === "*" || (key.includes("*") && WILDCARD_PATTERN.test(key));
+
+// The `resource:action` keys a key stands for
+const expandPermission = (key) =>
+    isLegacyPermission(key) ? LEGACY_PERMISSIONS[key] : [key];
+
+// Whether a granted key (possibly a wildcard) covers a required key
+const matchesPermission = (granted, required) => {
+    if (granted === "*" || granted === required) return true;
+
+    const [grantedResource, grantedAction] = granted.split(":");
+    const [resource, action] = required.split(":");
+    if (grantedAction === undefined || action === undefined) return false;
+
+    return (
+        (grantedResource === "*" || grantedResource === resource) &&
+        (grantedAction === "*" || grantedAction === action)
+    );
+};
+
+// Whether `{ key: true }` grants cover a required key. A legacy key requires
+// everything it stands for.
+const hasPermission = (granted = {}, required) => {
+    const keys = Object.keys(granted).filter((key) => granted[key]);
+
+    return expandPermission(required).every(
+        (needed) =>
+            granted[needed] ||
+            keys.some((key) => matchesPermission(key, needed))
+    );
+};
+
+// Resource IDs `{ key: [id] }` scoped grants allow for a required key
+const scopeFor = (scopes = {}, required) => {
+    const entries = Object.entries(scopes);
+
+    return expandPermission(required)
+        .map((needed) =>
+            entries
+                .filter(([key]) => matchesPermission(key, needed))
+                .flatMap(([, ids]) => ids)
+        )
+        .reduce((common, ids) => common.filter((id) => ids.includes(id)));
+};
+
+// Every stored key that grants a `resource:action` key, for database queries
+const grantingKeys = (required) => {
+    const [resource, action] = required.split(":");
+    const keys = [required, "*"];
+
+    if (action !== undefined) {
+        keys.push(`${resource}:*`, `*:${action}`, "*:*");
+    }
+    for (const [legacy, expanded] of Object.entries(LEGACY_PERMISSIONS)) {
+        if (expanded.includes(required)) keys.push(legacy);
+    }
+
+    return keys;
+};
+
+module.exports = {
+    LEGACY_PERMISSIONS,
+    isLegacyPermission,
+    isWildcard,
+    expandPermission,
+    matchesPermission,
+    hasPermission,
+    scopeFor,
+    grantingKeys,
+};
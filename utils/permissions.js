@@ -0,0 +1,115 @@
+const Permission = require("../models/Permission");
+const Role = require("../models/Role");
+const { expandPermission, hasPermission } = require("./permissionKeys");
+
+// Compute a user's effective permissions as `{ key: true }`, with legacy
+// keys expanded to the `resource:action` keys they stand for.
+// Expects `user.roles` to be populated with each role's permissions.
+const resolvePermissions = async (user) => {
+    // Admin has all permissions by default
+    if (user.role === "admin") {
+        const keys = await Permission.distinct("key");
+        return Object.fromEntries(keys.map((key) => [key, true]));
+    }
+
+    const direct =
+        user.permissions instanceof Map
+            ? Object.fromEntries(user.permissions)
+            : user.permissions || {};
+
+    return expandGrants([
+        ...(user.roles || []).flatMap((role) => role.permissions || []),
+        ...Object.keys(direct).filter((key) => direct[key]),
+    ]);
+};
+
+// Effective permissions for a list of granted keys, as `{ key: true }`
+const expandGrants = (keys) => {
+    const effective = {};
+    for (const key of keys) {
+        effective[key] = true;
+        for (const expanded of expandPermission(key)) {
+            effective[expanded] = true;
+        }
+    }
+    return effective;
+};
+
+// Resource IDs the user may access per permission they only hold in part,
+// as `{ key: [id] }`. Expects `effective` from resolvePermissions.
+const resolveScopes = (user, effective) => {
+    const scopes =
+        user.permissionScopes instanceof Map
+            ? Object.fromEntries(user.permissionScopes)
+            : user.permissionScopes || {};
+
+    const resolved = {};
+    for (const [key, ids] of Object.entries(scopes)) {
+        for (const expanded of expandPermission(key)) {
+            if (!ids?.length || hasPermission(effective, expanded)) continue;
+            resolved[expanded] = [
+                ...new Set([...(resolved[expanded] || []), ...ids]),
+            ];
+        }
+    }
+
+    return resolved;
+};
+
+// Validate requested role names, direct permission grants and scoped grants.
+// Returns `{ error }` or the values to store on the user.
+const resolveAccess = async ({ roles, permissions, permissionScopes }) => {
+    const access = {};
+
+    if (roles !== undefined) {
+        const { roles: found, missing } = await Role.findByNames(roles);
+        if (missing.length) {
+            return { error: `Unknown roles: ${missing.join(", ")}` };
+        }
+        access.roles = found.map((role) => role._id);
+    }
+
+    if (permissions !== undefined) {
+        const unknown = await Permission.findUnknown(Object.keys(permissions));
+        if (unknown.length) {
+            return { error: `Unknown permissions: ${unknown.join(", ")}` };
+        }
+        access.permissions = permissions;
+    }
+
+    if (permissionScopes !== undefined) {
+        const entries = Object.entries(permissionScopes || {});
+        const invalid = entries.filter(
+            ([, ids]) =>
+                !Array.isArray(ids) ||
+                ids.some((id) => typeof id !== "string" || !id.trim())
+        );
+        if (invalid.length) {
+            return {
+                error: `Scopes must be lists of resource IDs: ${invalid.map(([key]) => key).join(", ")}`,
+            };
+        }
+
+        const unknown = await Permission.findUnknown(
+            entries.map(([key]) => key)
+        );
+        if (unknown.length) {
+            return { error: `Unknown permissions: ${unknown.join(", ")}` };
+        }
+        access.permissionScopes = Object.fromEntries(
+            entries.map(([key, ids]) => [
+                key,
+                [...new Set(ids.map((id) => id.trim()))],
+            ])
+        );
+    }
+
+    return access;
+};
+
+module.exports = {
+    resolvePermissions,
+    expandGrants,
+    resolveScopes,
+    resolveAccess,
+};
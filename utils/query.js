@@ -0,0 +1,66 @@
+// Helpers for turning query strings into MongoDB queries
+
+const escapeRegex = (text) =>
+    String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Page-based pagination from `page` and `limit` query params
+const parsePagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(
+        Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+        maxLimit
+    );
+
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// Build a `{ $gte, $lte }` condition from two date params.
+// Returns `{ condition }`, `{}` when neither is set, or `{ error }`.
+const parseDateRange = (query, fromParam, toParam) => {
+    if (!query[fromParam] && !query[toParam]) return {};
+
+    const condition = {};
+    for (const [param, operator] of [
+        [fromParam, "$gte"],
+        [toParam, "$lte"],
+    ]) {
+        if (!query[param]) continue;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `Invalid '${param}' date` };
+        }
+        condition[operator] = date;
+    }
+
+    return { condition };
+};
+
+// Parse a `sort` param like `-createdAt` against a list of allowed fields
+const parseSort = (value, allowed, fallback) => {
+    const sort = value || fallback;
+    // A repeated param (`?sort=a&sort=b`) arrives as an array
+    if (typeof sort !== "string") {
+        return { error: "'sort' must be a single field" };
+    }
+    const field = sort.replace(/^-/, "");
+    if (!allowed.includes(field)) {
+        return { error: `Cannot sort by '${field}'` };
+    }
+
+    return { sort: { [field]: sort.startsWith("-") ? -1 : 1 } };
+};
+
+// Split a comma-separated query param into trimmed values
+const parseList = (value) =>
+    String(value || "")
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+module.exports = {
+    escapeRegex,
+    parsePagination,
+    parseDateRange,
+    parseSort,
+    parseList,
+};
@@ -0,0 +1,34 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { hashToken } = require("./tokens");
+
+// Whether the initial admin still needs to be created
+const isSetupComplete = async () =>
+    Boolean(await User.exists({ role: "admin" }));
+
+// Check a setup token against `SETUP_TOKEN`. Always false when it isn't set,
+// which disables bootstrapping over HTTP.
+const verifySetupToken = (token) => {
+    const expected = process.env.SETUP_TOKEN;
+    if (!expected || !token) return false;
+
+    // Compare hashes so the comparison takes the same time for any length
+    return crypto.timingSafeEqual(
+        Buffer.from(hashToken(token)),
+        Buffer.from(hashToken(expected))
+    );
+};
+
+// Create the owner admin. Throws a PasswordPolicyError or ValidationError
+// for bad input, and a duplicate key error if an owner appeared meanwhile.
+const createOwner = ({ name, email, password }) =>
+    User.create({
+        name,
+        email,
+        password,
+        role: "admin",
+        isOwner: true,
+        permissions: { "*": true },
+    });
+
+module.exports = { isSetupComplete, verifySetupToken, createOwner };
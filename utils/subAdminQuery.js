@@ -0,0 +1,105 @@
+const Role = require("../models/Role");
+const {
+    escapeRegex,
+    parseDateRange,
+    parseSort,
+    parseList,
+} = require("./query");
+const { expandPermission, grantingKeys } = require("./permissionKeys");
+
+const SUB_ADMIN_STATUSES = [
+    "active",
+    "invited",
+    "suspended",
+    "deleted",
+    "locked",
+];
+const SUB_ADMIN_SORT_FIELDS = ["name", "email", "status", "createdAt"];
+
+// Upper bound on sub-admins touched by a single bulk request or import
+const BULK_LIMIT = 1000;
+
+// Build a MongoDB filter for sub-admins from the query string:
+// `search`, `permissions`, `roles`, `status`, `createdFrom`, `createdTo`.
+// Returns `{ filter }` or `{ error }` on bad input.
+const buildSubAdminFilter = async (query) => {
+    const conditions = [{ role: "sub-admin" }];
+
+    // Case-insensitive substring match on name or email
+    if (query.search) {
+        const pattern = new RegExp(escapeRegex(query.search), "i");
+        conditions.push({ $or: [{ name: pattern }, { email: pattern }] });
+    }
+
+    // Every listed permission, granted directly or through a role, by its
+    // own key, a wildcard or a legacy key
+    for (const key of parseList(query.permissions)) {
+        if (!/^[a-zA-Z][\w:-]*$/.test(key)) {
+            return { error: `Invalid permission '${key}'` };
+        }
+        for (const needed of expandPermission(key)) {
+            const keys = grantingKeys(needed);
+            const roleIds = await Role.find({
+                permissions: { $in: keys },
+            }).distinct("_id");
+            conditions.push({
+                $or: [
+                    ...keys.map((granted) => ({
+                        [`permissions.${granted}`]: true,
+                    })),
+                    { roles: { $in: roleIds } },
+                ],
+            });
+        }
+    }
+
+    // Any of the listed roles
+    const roleNames = parseList(query.roles);
+    if (roleNames.length) {
+        const { roles, missing } = await Role.findByNames(roleNames);
+        if (missing.length) {
+            return { error: `Unknown roles: ${missing.join(", ")}` };
+        }
+        conditions.push({ roles: { $in: roles.map((role) => role._id) } });
+    }
+
+    // Any of the listed statuses; `locked` means locked out by failed logins.
+    // Soft-deleted sub-admins are only listed when asked for explicitly.
+    const statuses = parseList(query.status);
+    if (!statuses.length) {
+        conditions.push({ status: { $ne: "deleted" } });
+    } else {
+        const unknown = statuses.filter(
+            (status) => !SUB_ADMIN_STATUSES.includes(status)
+        );
+        if (unknown.length) {
+            return { error: `Unknown status: ${unknown.join(", ")}` };
+        }
+        conditions.push({
+            $or: statuses.map((status) =>
+                status === "locked"
+                    ? { lockedUntil: { $gt: new Date() } }
+                    : { status }
+            ),
+        });
+    }
+
+    const createdAt = parseDateRange(query, "createdFrom", "createdTo");
+    if (createdAt.error) return { error: createdAt.error };
+    if (createdAt.condition) {
+        conditions.push({ createdAt: createdAt.condition });
+    }
+
+    return { filter: { $and: conditions } };
+};
+
+const parseSubAdminSort = (value) =>
+    parseSort(value, SUB_ADMIN_SORT_FIELDS, "-createdAt");
+
+module.exports = {
+    SUB_ADMIN_STATUSES,
+    SUB_ADMIN_SORT_FIELDS,
+    BULK_LIMIT,
+    buildSubAdminFilter,
+    parseSubAdminSort,
+};
@@ -0,0 +1,44 @@
+// Status transitions for sub-admins. `from` lists the statuses a transition
+// applies to; `update` is a pipeline update so it can refer to current values.
+const SUB_ADMIN_TRANSITIONS = {
+    suspend: {
+        from: ["active"],
+        update: [{ $set: { status: "suspended", suspendedAt: "$$NOW" } }],
+        action: "sub-admin.suspend",
+        revokeSessions: true,
+    },
+    reactivate: {
+        from: ["suspended"],
+        update: [{ $set: { status: "active" } }, { $unset: ["suspendedAt"] }],
+        action: "sub-admin.reactivate",
+    },
+    // Soft delete, keeping the current status for restoring
+    delete: {
+        from: ["active", "suspended", "invited"],
+        update: [
+            {
+                $set: {
+                    previousStatus: "$status",
+                    status: "deleted",
+                    deletedAt: "$$NOW",
+                },
+            },
+        ],
+        action: "sub-admin.delete",
+        revokeSessions: true,
+    },
+    restore: {
+        from: ["deleted"],
+        update: [
+            {
+                $set: {
+                    status: { $ifNull: ["$previousStatus", "active"] },
+                },
+            },
+            { $unset: ["previousStatus", "deletedAt"] },
+        ],
+        action: "sub-admin.restore",
+    },
+};
+
+module.exports = { SUB_ADMIN_TRANSITIONS };
@@ -0,0 +1,70 @@
+// Above this many line comparisons the diff falls back to replacing the
+// whole changed region, keeping memory and CPU bounded for large bodies
+const MAX_DIFF_CELLS = 4000000;
+
+// Line-by-line diff of two texts as a list of
+// `{ type: "unchanged" | "added" | "removed", line }`
+const diffLines = (from = "", to = "") => {
+    const a = from.split("\n");
+    const b = to.split("\n");
+
+    // Lines shared at the start and end need no comparison
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const unchanged = (line) => ({ type: "unchanged", line });
+    const removed = (line) => ({ type: "removed", line });
+    const added = (line) => ({ type: "added", line });
+
+    const head = a.slice(0, start).map(unchanged);
+    const tail = a.slice(endA).map(unchanged);
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if ((midA.length + 1) * (midB.length + 1) > MAX_DIFF_CELLS) {
+        return [...head, ...midA.map(removed), ...midB.map(added), ...tail];
+    }
+
+    // Longest common subsequence table, filled from the end
+    const width = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+            lcs[i * width + j] =
+                midA[i] === midB[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(
+                          lcs[(i + 1) * width + j],
+                          lcs[i * width + j + 1]
+                      );
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+        if (midA[i] === midB[j]) {
+            middle.push(unchanged(midA[i]));
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            middle.push(removed(midA[i++]));
+        } else {
+            middle.push(added(midB[j++]));
+        }
+    }
+    middle.push(...midA.slice(i).map(removed), ...midB.slice(j).map(added));
+
+    return [...head, ...middle, ...tail];
+};
+
+module.exports = { diffLines };
@@ -0,0 +1,10 @@
+const crypto = require("crypto");
+
+// Generate an opaque, URL-safe random token
+const randomToken = (bytes = 48) => crypto.randomBytes(bytes).toString("base64url");
+
+// Hash a token before storing it so a database leak doesn't expose usable tokens
+const hashToken = (token) =>
+    crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = { randomToken, hashToken };
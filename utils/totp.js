@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords (compatible with authenticator apps)
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 character");
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, as recommended by RFC 4226
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+        .createHmac("sha1", base32Decode(secret))
+        .update(message)
+        .digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return String(code).padStart(DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) =>
+    Math.floor(now / 1000 / PERIOD_SECONDS);
+
+const generateCode = (secret, now) => hotp(secret, currentStep(now));
+
+// Check a code, allowing `window` steps of clock drift either way.
+// Returns the matching time step (to prevent replays) or null.
+const verifyCode = (secret, code, { window = 1, now } = {}) => {
+    const normalized = String(code || "").replace(/\s/g, "");
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const step = currentStep(now);
+    for (let drift = -window; drift <= window; drift++) {
+        const candidate = hotp(secret, step + drift);
+        if (
+            crypto.timingSafeEqual(
+                Buffer.from(candidate),
+                Buffer.from(normalized)
+            )
+        ) {
+            return step + drift;
+        }
+    }
+
+    return null;
+};
+
+// URI understood by authenticator apps (usually shown as a QR code)
+const buildOtpauthUri = ({ secret, account, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS),
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+};
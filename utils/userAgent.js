@@ -0,0 +1,35 @@
+// Rough browser and OS detection for labelling sessions, e.g.
+// "Chrome on Windows". Order matters: many user agents mention several names.
+const BROWSERS = [
+    ["Edge", /Edg(e|A|iOS)?\//],
+    ["Opera", /OPR\/|Opera/],
+    ["Firefox", /Firefox\/|FxiOS\//],
+    ["Chrome", /Chrome\/|CriOS\//],
+    ["Safari", /Safari\//],
+    ["curl", /^curl\//],
+    ["Postman", /PostmanRuntime\//],
+];
+
+const SYSTEMS = [
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Android", /Android/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+];
+
+const match = (list, userAgent) =>
+    list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+// Describe the device behind a user agent string
+const describeDevice = (userAgent) => {
+    if (!userAgent) return "Unknown device";
+
+    const browser = match(BROWSERS, userAgent);
+    const system = match(SYSTEMS, userAgent);
+
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || "Unknown device";
+};
+
+module.exports = { describeDevice };
@@ -0,0 +1,60 @@
+const User = require("../models/User");
+const TtlCache = require("./cache");
+const { resolvePermissions, resolveScopes } = require("./permissions");
+
+// How long a user's role and permissions, and whether their session is
+// still active (see models/Session.js), may be served from memory. Changes
+// made through this instance invalidate the entry immediately; the TTL
+// bounds staleness for changes made elsewhere. 0 disables caching, e.g. to
+// make revocations immediate across instances; a missing or non-numeric
+// value uses the default.
+const configuredTtl = Number(process.env.USER_CACHE_TTL_MS || NaN);
+const USER_CACHE_TTL_MS = Number.isNaN(configuredTtl) ? 30000 : configuredTtl;
+
+const cache = new TtlCache({ ttl: USER_CACHE_TTL_MS });
+
+// Load the fields authorization depends on, from cache when possible
+const getAuthUser = async (id) => {
+    const key = String(id);
+
+    const cached = cache.get(key);
+    if (cached) return cached;
+
+    const user = await User.findById(id)
+        .select(
+            "name email role status roles permissions permissionScopes mustChangePassword twoFactor.enabled"
+        )
+        .populate("roles", "name permissions requireTwoFactor")
+        .lean();
+    if (!user) return null;
+
+    // Lean reads skip defaults; users from before roles have no `roles`
+    const roles = user.roles || [];
+    const permissions = await resolvePermissions(user);
+    const authUser = {
+        ...user,
+        // Users from before statuses have none until User.backfillStatus runs
+        status: user.status ?? "active",
+        roles: roles.map((role) => role.name),
+        permissions,
+        permissionScopes: resolveScopes(user, permissions),
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        twoFactorRequired: roles.some((role) => role.requireTwoFactor),
+    };
+    cache.set(key, authUser);
+
+    return authUser;
+};
+
+// Drop a user from the cache after their role or permissions change
+const invalidateUser = (id) => cache.delete(String(id));
+
+// Drop everyone, e.g. after a role's permissions change
+const clearUserCache = () => cache.clear();
+
+module.exports = {
+    USER_CACHE_TTL_MS,
+    getAuthUser,
+    invalidateUser,
+    clearUserCache,
+};
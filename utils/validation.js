@@ -0,0 +1,229 @@
+// Validation against the subset of JSON Schema used in our Swagger docs:
+// `type`, `nullable`, `enum`, `format` (email, date-time, objectId),
+// `minLength`, `maxLength`, `pattern`, `minimum`, `maximum`, `items`,
+// `minItems`, `maxItems`, `properties`, `required`, `additionalProperties`,
+// `minProperties` and `default`. Other keywords (`description`, `example`,
+// ...) only document.
+
+const FORMATS = {
+    email: {
+        test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        message: "must be a valid email address",
+    },
+    "date-time": {
+        test: (value) => !Number.isNaN(Date.parse(value)),
+        message: "must be a valid date",
+    },
+    objectId: {
+        test: (value) => /^[a-f\d]{24}$/i.test(value),
+        message: "must be a valid ID",
+    },
+};
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === "string",
+    number: (value) => typeof value === "number" && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === "boolean",
+    array: (value) => Array.isArray(value),
+    object: (value) =>
+        typeof value === "object" && value !== null && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+    string: "a string",
+    number: "a number",
+    integer: "an integer",
+    boolean: "true or false",
+    array: "a list",
+    object: "an object",
+};
+
+// Query strings and path params always arrive as strings
+const coerce = (value, type) => {
+    if (typeof value !== "string") return value;
+
+    if ((type === "number" || type === "integer") && value.trim() !== "") {
+        const number = Number(value);
+        return Number.isNaN(number) ? value : number;
+    }
+    if (type === "boolean" && (value === "true" || value === "false")) {
+        return value === "true";
+    }
+
+    return value;
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key));
+
+// Assign without triggering the `__proto__` setter for hostile keys
+const assign = (target, key, value) =>
+    Object.defineProperty(target, key, {
+        value,
+        enumerable: true,
+        writable: true,
+        configurable: true,
+    });
+
+const checkObject = (schema, value, path, errors, options) => {
+    const properties = schema.properties || {};
+    const result = {};
+
+    for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+            errors.push({ field: joinPath(path, key), message: "is required" });
+        }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+        const field = joinPath(path, key);
+
+        if (Object.hasOwn(properties, key)) {
+            assign(
+                result,
+                key,
+                check(properties[key], item, field, errors, options)
+            );
+        } else if (schema.additionalProperties === false) {
+            errors.push({ field, message: "is not allowed" });
+        } else if (typeof schema.additionalProperties === "object") {
+            assign(
+                result,
+                key,
+                check(schema.additionalProperties, item, field, errors, options)
+            );
+        } else {
+            assign(result, key, item);
+        }
+    }
+
+    for (const [key, property] of Object.entries(properties)) {
+        if (result[key] === undefined && property.default !== undefined) {
+            assign(result, key, structuredClone(property.default));
+        }
+    }
+
+    if (
+        schema.minProperties !== undefined &&
+        Object.keys(value).length < schema.minProperties
+    ) {
+        errors.push({
+            field: path,
+            message: `must contain at least ${schema.minProperties} field(s)`,
+        });
+    }
+
+    return result;
+};
+
+const check = (schema, value, path, errors, options) => {
+    if (value === null) {
+        if (!schema.nullable) {
+            errors.push({ field: path, message: "must not be null" });
+        }
+        return value;
+    }
+
+    if (options.coerce) {
+        value = coerce(value, schema.type);
+    }
+
+    if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+        errors.push({
+            field: path,
+            message: `must be ${TYPE_NAMES[schema.type]}`,
+        });
+        return value;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({
+            field: path,
+            message: `must be one of: ${schema.enum.join(", ")}`,
+        });
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({
+                field: path,
+                message:
+                    schema.minLength === 1
+                        ? "must not be empty"
+                        : `must be at least ${schema.minLength} characters`,
+            });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({
+                field: path,
+                message: `must be at most ${schema.maxLength} characters`,
+            });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field: path, message: "has an invalid format" });
+        }
+        const format = FORMATS[schema.format];
+        if (format && !format.test(value)) {
+            errors.push({ field: path, message: format.message });
+        }
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({
+                field: path,
+                message: `must be at least ${schema.minimum}`,
+            });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({
+                field: path,
+                message: `must be at most ${schema.maximum}`,
+            });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({
+                field: path,
+                message: `must contain at least ${schema.minItems} item(s)`,
+            });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({
+                field: path,
+                message: `must contain at most ${schema.maxItems} item(s)`,
+            });
+        }
+        if (schema.items) {
+            return value.map((item, index) =>
+                check(
+                    schema.items,
+                    item,
+                    joinPath(path, index),
+                    errors,
+                    options
+                )
+            );
+        }
+    }
+
+    if (schema.type === "object") {
+        return checkObject(schema, value, path, errors, options);
+    }
+
+    return value;
+};
+
+// Validate a value against a schema. Returns the value with defaults applied
+// (and, with `coerce`, strings converted to the declared number or boolean
+// type) plus a list of `{ field, message }` problems, empty when valid.
+const validateValue = (schema, value, { coerce = false } = {}) => {
+    const errors = [];
+    const result = check(schema, value, "", errors, { coerce });
+
+    return { value: result, errors };
+};
+
+module.exports = { validateValue };